@@ -0,0 +1,48 @@
+const { MongoClient } = require('mongodb');
+
+// Shared MongoDB client. Modules whose writes must commit together in one
+// transaction have to use the same client, since sessions belong to a client.
+const uri = process.env.MONGO_URI || 'mongodb://localhost:27017';
+const dbName = process.env.DB_NAME || 'schoolplus_db';
+const client = new MongoClient(uri);
+
+function getCollection(name) {
+    return client.db(dbName).collection(name);
+}
+
+// Runs callback inside a MongoDB transaction and returns its result.
+// All reads and writes in the callback must pass the session they receive.
+async function withTransaction(callback) {
+    const session = client.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await callback(session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+}
+
+// Transactions need a replica set or a sharded cluster; a standalone server
+// rejects them, which would fail every checkout. Throws with a clear message
+// when the server cannot run them, so the app refuses to start instead.
+async function assertTransactionsSupported() {
+    const hello = await client.db('admin').command({ hello: 1 });
+    if (!hello.setName && hello.msg !== 'isdbgrid') {
+        throw new Error(
+            'MongoDB at MONGO_URI is a standalone server, but orders need multi-document transactions. ' +
+            'Run it as a replica set (a single-node one is enough, e.g. mongod --replSet rs0 then rs.initiate()) ' +
+            'and add ?replicaSet=rs0 to MONGO_URI.'
+        );
+    }
+}
+
+module.exports = {
+    client,
+    dbName,
+    getCollection,
+    withTransaction,
+    assertTransactionsSupported
+};
@@ -0,0 +1,314 @@
+const { getCollection } = require('../config/db');
+const { roundMoney } = require('../services/pricing');
+const { BASE_CURRENCY } = require('../services/currency');
+const { ORDER_STATUSES, SALE_FILTER } = require('./orderController');
+
+const INTERVALS = ['day', 'week', 'month'];
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_TOP_LIMIT = 50;
+
+// Helper function to get order collection
+async function getOrderCollection() {
+    return getCollection('orders');
+}
+
+// Orders are reported in the base currency, converted at the rate each was placed with
+function inBaseCurrency(amount) {
+    return { $divide: [amount, { $ifNull: ['$exchangeRate', 1] }] };
+}
+
+const TOTAL_AMOUNT = inBaseCurrency('$totalAmount');
+const REFUNDED_AMOUNT = inBaseCurrency({ $ifNull: ['$refundedAmount', 0] });
+
+// What an order brought in after refunds
+const NET_REVENUE = { $subtract: [TOTAL_AMOUNT, REFUNDED_AMOUNT] };
+
+// Paid orders that were not cancelled, the same sales the order stats count.
+// A cancelled order is no sale even if a late payment arrived for it.
+const SALES_ONLY = { $match: SALE_FILTER };
+
+// A line's share of its order's net revenue: refunds are spread over the
+// lines in proportion to their amounts
+const ITEM_REVENUE = inBaseCurrency({
+    $cond: [
+        { $gt: ['$totalAmount', 0] },
+        {
+            $multiply: [
+                '$items.subtotal',
+                { $divide: [{ $subtract: ['$totalAmount', { $ifNull: ['$refundedAmount', 0] }] }, '$totalAmount'] }
+            ]
+        },
+        0
+    ]
+});
+
+// Revenue, order count and average order value of the orders in a group stage
+const SALES_TOTALS = {
+    orders: { $sum: 1 },
+    grossRevenue: { $sum: TOTAL_AMOUNT },
+    refunded: { $sum: REFUNDED_AMOUNT },
+    revenue: { $sum: NET_REVENUE },
+    itemsSold: { $sum: { $sum: '$items.quantity' } }
+};
+
+function formatTotals(totals = {}) {
+    const orders = totals.orders || 0;
+    const revenue = roundMoney(totals.revenue || 0);
+    return {
+        orders,
+        grossRevenue: roundMoney(totals.grossRevenue || 0),
+        refunded: roundMoney(totals.refunded || 0),
+        revenue,
+        averageOrderValue: orders > 0 ? roundMoney(revenue / orders) : 0,
+        itemsSold: totals.itemsSold || 0
+    };
+}
+
+// Percentage change from the previous period; null when there is nothing to compare to
+function percentChange(current, previous) {
+    if (!previous) return null;
+    return roundMoney((current - previous) / previous * 100);
+}
+
+class SalesAnalytics {
+    // Computes the sales report for orders created in [from, to), bucketing
+    // the time series by interval in the given timezone
+    static async getReport({ from, to, interval = 'day', timezone = 'UTC', limit = 10 }) {
+        const collection = await getOrderCollection();
+
+        const [report] = await collection.aggregate([
+            { $match: { createdAt: { $gte: from, $lt: to } } },
+            {
+                $facet: {
+                    summary: [
+                        SALES_ONLY,
+                        { $group: { _id: null, ...SALES_TOTALS } }
+                    ],
+                    timeseries: [
+                        SALES_ONLY,
+                        {
+                            $group: {
+                                _id: {
+                                    $dateTrunc: {
+                                        date: '$createdAt',
+                                        unit: interval,
+                                        timezone,
+                                        startOfWeek: 'monday'
+                                    }
+                                },
+                                ...SALES_TOTALS
+                            }
+                        },
+                        { $sort: { _id: 1 } }
+                    ],
+                    byStatus: [
+                        {
+                            $group: {
+                                _id: '$status',
+                                orders: { $sum: 1 },
+                                amount: { $sum: TOTAL_AMOUNT }
+                            }
+                        }
+                    ],
+                    topBooks: [
+                        SALES_ONLY,
+                        { $unwind: '$items' },
+                        {
+                            $group: {
+                                _id: '$items.bookId',
+                                title: { $first: '$items.title' },
+                                author: { $first: '$items.author' },
+                                quantity: { $sum: '$items.quantity' },
+                                revenue: { $sum: ITEM_REVENUE },
+                                orders: { $sum: 1 }
+                            }
+                        },
+                        { $sort: { quantity: -1, revenue: -1 } },
+                        { $limit: limit }
+                    ],
+                    topCategories: [
+                        SALES_ONLY,
+                        { $unwind: '$items' },
+                        {
+                            $lookup: {
+                                from: 'books',
+                                localField: 'items.bookId',
+                                foreignField: '_id',
+                                as: 'book'
+                            }
+                        },
+                        {
+                            $group: {
+                                _id: { $first: '$book.category' },
+                                quantity: { $sum: '$items.quantity' },
+                                revenue: { $sum: ITEM_REVENUE },
+                                orderIds: { $addToSet: '$_id' }
+                            }
+                        },
+                        { $sort: { quantity: -1, revenue: -1 } },
+                        { $limit: limit },
+                        // Books store their category ID as given, so it may be a string
+                        {
+                            $lookup: {
+                                from: 'categories',
+                                let: { categoryId: '$_id' },
+                                pipeline: [
+                                    {
+                                        $match: {
+                                            $expr: {
+                                                $eq: ['$_id', { $convert: { input: '$$categoryId', to: 'objectId', onError: null, onNull: null } }]
+                                            }
+                                        }
+                                    },
+                                    { $project: { name: 1 } }
+                                ],
+                                as: 'category'
+                            }
+                        },
+                        {
+                            $project: {
+                                _id: 0,
+                                categoryId: '$_id',
+                                name: { $ifNull: [{ $first: '$category.name' }, 'Uncategorized'] },
+                                quantity: 1,
+                                revenue: 1,
+                                orders: { $size: '$orderIds' }
+                            }
+                        }
+                    ]
+                }
+            }
+        ]).toArray();
+
+        // Every status is reported, including those with no orders in the range
+        const statusCounts = new Map(report.byStatus.map(entry => [entry._id, entry]));
+        const byStatus = ORDER_STATUSES.map(status => ({
+            status,
+            orders: statusCounts.has(status) ? statusCounts.get(status).orders : 0,
+            amount: roundMoney(statusCounts.has(status) ? statusCounts.get(status).amount : 0)
+        }));
+
+        return {
+            summary: formatTotals(report.summary[0]),
+            timeseries: report.timeseries.map(bucket => ({
+                period: bucket._id,
+                ...formatTotals(bucket)
+            })),
+            byStatus,
+            topBooks: report.topBooks.map(book => ({
+                bookId: book._id,
+                title: book.title,
+                author: book.author,
+                quantity: book.quantity,
+                revenue: roundMoney(book.revenue),
+                orders: book.orders
+            })),
+            topCategories: report.topCategories.map(category => ({
+                ...category,
+                revenue: roundMoney(category.revenue)
+            }))
+        };
+    }
+
+    // Summary totals only, used for the comparison period
+    static async getSummary({ from, to }) {
+        const collection = await getOrderCollection();
+        const [totals] = await collection.aggregate([
+            { $match: { createdAt: { $gte: from, $lt: to } } },
+            SALES_ONLY,
+            { $group: { _id: null, ...SALES_TOTALS } }
+        ]).toArray();
+        return formatTotals(totals);
+    }
+}
+
+// Reads and validates the report range and options from the query string
+function parseReportOptions(query) {
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from
+        ? new Date(query.from)
+        : new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        return { error: 'from and to must be valid dates' };
+    }
+    if (from >= to) {
+        return { error: 'from must be before to' };
+    }
+
+    const interval = query.interval || 'day';
+    if (!INTERVALS.includes(interval)) {
+        return { error: `interval must be one of: ${INTERVALS.join(', ')}` };
+    }
+
+    const timezone = query.timezone || 'UTC';
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+        return { error: 'Invalid timezone' };
+    }
+
+    const limit = Math.min(Math.max(parseInt(query.limit) || 10, 1), MAX_TOP_LIMIT);
+
+    return { options: { from, to, interval, timezone, limit } };
+}
+
+// Controller functions
+const analyticsController = {
+    // GET /api/analytics/sales - Sales report over a date range with the previous period for comparison
+    getSalesReport: async (req, res) => {
+        try {
+            const { options, error } = parseReportOptions(req.query);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error
+                });
+            }
+
+            // The previous period is the same length, ending where this one starts
+            const length = options.to.getTime() - options.from.getTime();
+            const previousRange = {
+                from: new Date(options.from.getTime() - length),
+                to: options.from
+            };
+
+            const report = await SalesAnalytics.getReport(options);
+            const previous = await SalesAnalytics.getSummary(previousRange);
+
+            const change = {};
+            for (const field of ['orders', 'revenue', 'averageOrderValue', 'itemsSold']) {
+                change[field] = percentChange(report.summary[field], previous[field]);
+            }
+
+            res.json({
+                success: true,
+                data: {
+                    range: {
+                        from: options.from,
+                        to: options.to,
+                        interval: options.interval,
+                        timezone: options.timezone
+                    },
+                    currency: BASE_CURRENCY,
+                    ...report,
+                    comparison: {
+                        range: previousRange,
+                        summary: previous,
+                        change
+                    }
+                }
+            });
+
+        } catch (error) {
+            console.error('Get sales report error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to build sales report'
+            });
+        }
+    }
+};
+
+module.exports = analyticsController;
+module.exports.SalesAnalytics = SalesAnalytics;
@@ -1,23 +1,75 @@
 const { MongoClient, ObjectId } = require("mongodb");
+const { localizeBook, parsePriceOverrides } = require("../services/currency");
+const {
+  TEXT_INDEX,
+  VOCABULARY_FIELDS,
+  SUGGESTION_THRESHOLD,
+  MAX_SUGGESTIONS,
+  toTextSearch,
+  prepareSearch,
+  buildHighlights,
+  buildVocabulary,
+  findQueryCorrections,
+  expandQuery,
+  suggestQueries,
+} = require("../services/search");
+const { ExchangeRate } = require("./currencyController");
 
 // MongoDB connection setup
 const uri = process.env.MONGO_URI || "mongodb://localhost:27017";
 const dbName = process.env.DB_NAME || "schoolplus_db";
 const client = new MongoClient(uri);
 
+// Relevance of a text search match, for projecting and sorting by it
+const TEXT_SCORE = { $meta: "textScore" };
+
+// The catalog words that misspelled searches are corrected against are cached
+// for this long, and rebuilt sooner when this process changes a book
+const VOCABULARY_TTL_MS = 10 * 60 * 1000;
+let searchVocabulary = null;
+
 // Helper function to get book collection
+let bookIndexes = null;
+
 async function getBookCollection() {
-  return client.db(dbName).collection("books");
+  const collection = client.db(dbName).collection("books");
+  if (!bookIndexes) {
+    bookIndexes = collection
+      .createIndex(TEXT_INDEX.key, TEXT_INDEX.options)
+      .catch((error) =>
+        console.error("Failed to create book search index:", error)
+      );
+  }
+  await bookIndexes;
+  return collection;
 }
 
 class Book {
-  constructor({ title, author, description, price, category, stock, _id }) {
+  constructor({
+    title,
+    author,
+    isbn,
+    description,
+    price,
+    prices,
+    category,
+    stock,
+    weight,
+    giftCardValue,
+    score,
+    _id,
+  }) {
     this.title = title;
     this.author = author;
+    this.isbn = isbn || null;
     this.description = description;
     this.price = Number(price);
+    this.prices = prices || {};
     this.category = category;
     this.stock = Number(stock);
+    this.weight = Number(weight) || 0;
+    this.giftCardValue = Number(giftCardValue) || null;
+    if (score !== undefined) this.score = score;
     if (_id) this._id = _id;
   }
 
@@ -27,20 +79,27 @@ class Book {
       ...bookData,
       price: Number(bookData.price),
       stock: Number(bookData.stock),
+      weight: Number(bookData.weight) || 0,
       createdAt: new Date(),
       updatedAt: new Date(),
     };
     const result = await collection.insertOne(book);
+    searchVocabulary = null;
     return new Book({ ...book, _id: result.insertedId });
   }
 
   static async findAll(filter = {}, options = {}) {
     const collection = await getBookCollection();
-    const { page = 1, limit = 10, sort = { createdAt: -1 } } = options;
+    const {
+      page = 1,
+      limit = 10,
+      sort = { createdAt: -1 },
+      projection,
+    } = options;
     const skip = (page - 1) * limit;
 
     const books = await collection
-      .find(filter)
+      .find(filter, { projection })
       .sort(sort)
       .skip(skip)
       .limit(limit)
@@ -73,17 +132,23 @@ class Book {
     };
     if (updateData.price) update.price = Number(updateData.price);
     if (updateData.stock) update.stock = Number(updateData.stock);
+    if (updateData.weight !== undefined) update.weight = Number(updateData.weight);
+    if (updateData.giftCardValue !== undefined) {
+      update.giftCardValue = Number(updateData.giftCardValue) || null;
+    }
 
     const result = await collection.updateOne(
       { _id: new ObjectId(id) },
       { $set: update }
     );
+    searchVocabulary = null;
     return result;
   }
 
   static async deleteById(id) {
     const collection = await getBookCollection();
     const result = await collection.deleteOne({ _id: new ObjectId(id) });
+    searchVocabulary = null;
     return result;
   }
 
@@ -91,16 +156,56 @@ class Book {
     return this.findAll({ category: categoryId }, options);
   }
 
-  static async search(searchTerm, options = {}) {
-    const filter = {
-      $or: [
-        { title: { $regex: searchTerm, $options: "i" } },
-        { author: { $regex: searchTerm, $options: "i" } },
-        { description: { $regex: searchTerm, $options: "i" } },
-      ],
-    };
-    return this.findAll(filter, options);
+  // Text search ordered by relevance; search is a prepared $text query
+  static async search(search, options = {}) {
+    return this.findAll(
+      { ...options.filter, $text: { $search: search } },
+      {
+        ...options,
+        projection: { score: TEXT_SCORE },
+        sort: options.sort || { score: TEXT_SCORE, createdAt: -1 },
+      }
+    );
   }
+
+  static async countSearch(search) {
+    const collection = await getBookCollection();
+    return collection.countDocuments({ $text: { $search: search } });
+  }
+
+  // Words of the catalog's titles and authors with the number of books using each
+  static async getSearchVocabulary() {
+    if (!searchVocabulary || searchVocabulary.expiresAt < Date.now()) {
+      const loading = (async () => {
+        const collection = await getBookCollection();
+        const projection = Object.fromEntries(
+          VOCABULARY_FIELDS.map((field) => [field, 1])
+        );
+        const books = await collection.find({}, { projection }).toArray();
+        return buildVocabulary(books);
+      })();
+      searchVocabulary = {
+        words: loading,
+        expiresAt: Date.now() + VOCABULARY_TTL_MS,
+      };
+      // A failed load is retried by the next search instead of being cached
+      loading.catch(() => {
+        searchVocabulary = null;
+      });
+    }
+    return searchVocabulary.words;
+  }
+}
+
+// Resolves the ?currency query param and prices the books in it.
+// Returns { books, currency } or { error }.
+async function localizeBooks(books, code) {
+  const { currency, error } = await ExchangeRate.resolve(code);
+  if (error) return { error };
+  return {
+    books: books.map((book) => localizeBook(book, currency)),
+    currency: currency.code,
+  };
 }
 
 // Controller functions
@@ -108,7 +213,14 @@ const bookController = {
   // GET /api/books - Get all books
   getAllBooks: async (req, res) => {
     try {
-      const { page = 1, limit = 10, category, search, sort } = req.query;
+      const {
+        page = 1,
+        limit = 10,
+        category,
+        search,
+        sort,
+        currency,
+      } = req.query;
       let filter = {};
       let sortOptions = { createdAt: -1 };
 
@@ -117,13 +229,16 @@ const bookController = {
         filter.category = category;
       }
 
-      // Search functionality
+      // Search functionality, ranked by relevance unless a sort is given
+      let prepared = null;
       if (search) {
-        filter.$or = [
-          { title: { $regex: search, $options: "i" } },
-          { author: { $regex: search, $options: "i" } },
-          { description: { $regex: search, $options: "i" } },
-        ];
+        prepared = prepareSearch(search);
+        if (prepared.error) {
+          return res.status(400).json({
+            success: false,
+            error: prepared.error,
+          });
+        }
       }
 
       // Sort options
@@ -152,11 +267,30 @@ const bookController = {
         sort: sortOptions,
       };
 
-      const result = await Book.findAll(filter, options);
+      const result = prepared
+        ? await Book.search(prepared.search, {
+            ...options,
+            filter,
+            sort: sort ? sortOptions : undefined,
+          })
+        : await Book.findAll(filter, options);
+      const localized = await localizeBooks(result.books, currency);
+      if (localized.error) {
+        return res.status(400).json({
+          success: false,
+          error: localized.error,
+        });
+      }
 
       res.json({
         success: true,
-        data: result.books,
+        data: prepared
+          ? localized.books.map((book) => ({
+              ...book,
+              highlights: buildHighlights(book, prepared.parsed),
+            }))
+          : localized.books,
+        currency: localized.currency,
         pagination: result.pagination,
       });
     } catch (error) {
@@ -188,9 +322,17 @@ const bookController = {
         });
       }
 
+      const localized = await localizeBooks([book], req.query.currency);
+      if (localized.error) {
+        return res.status(400).json({
+          success: false,
+          error: localized.error,
+        });
+      }
+
       res.json({
         success: true,
-        data: book,
+        data: localized.books[0],
       });
     } catch (error) {
       console.error("Get book error:", error);
@@ -204,7 +346,18 @@ const bookController = {
   // POST /api/books - Create new book
   createBook: async (req, res) => {
     try {
-      const { title, author, description, price, category, stock } = req.body;
+      const {
+        title,
+        author,
+        isbn,
+        description,
+        price,
+        prices,
+        category,
+        stock,
+        weight,
+        giftCardValue,
+      } = req.body;
 
       // Validation
       if (!title || !author || !price || !category) {
@@ -221,13 +374,46 @@ const bookController = {
         });
       }
 
+      // Shipping weight in kilograms, used for weight-based shipping rates
+      if (weight !== undefined && !(Number(weight) >= 0)) {
+        return res.status(400).json({
+          success: false,
+          error: "Weight must be a non-negative number",
+        });
+      }
+
+      // Products with a gift card value issue a gift card of that value per unit sold
+      if (
+        giftCardValue !== undefined &&
+        giftCardValue !== null &&
+        !(Number(giftCardValue) > 0)
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: "Gift card value must be greater than 0",
+        });
+      }
+
+      // Optional prices in other currencies that take the place of the exchange rate
+      const priceOverrides = parsePriceOverrides(prices || {});
+      if (priceOverrides.error) {
+        return res.status(400).json({
+          success: false,
+          error: priceOverrides.error,
+        });
+      }
+
       const bookData = {
         title,
         author,
+        isbn: isbn ? String(isbn).trim() : null,
         description: description || "",
         price: Number(price),
+        prices: priceOverrides.prices,
         category,
         stock: Number(stock) || 0,
+        weight: Number(weight) || 0,
+        giftCardValue: Number(giftCardValue) || null,
       };
 
       const book = await Book.create(bookData);
@@ -276,6 +462,38 @@ const bookController = {
         });
       }
 
+      // Validate weight if provided
+      if (updateData.weight !== undefined && !(Number(updateData.weight) >= 0)) {
+        return res.status(400).json({
+          success: false,
+          error: "Weight must be a non-negative number",
+        });
+      }
+
+      // Validate gift card value if provided; null turns it into a regular product
+      if (
+        updateData.giftCardValue !== undefined &&
+        updateData.giftCardValue !== null &&
+        !(Number(updateData.giftCardValue) > 0)
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: "Gift card value must be greater than 0",
+        });
+      }
+
+      // Validate price overrides if provided; null clears them
+      if (updateData.prices !== undefined) {
+        const priceOverrides = parsePriceOverrides(updateData.prices);
+        if (priceOverrides.error) {
+          return res.status(400).json({
+            success: false,
+            error: priceOverrides.error,
+          });
+        }
+        updateData.prices = priceOverrides.prices;
+      }
+
       const result = await Book.updateById(id, updateData);
 
       if (result.matchedCount === 0) {
@@ -339,7 +557,7 @@ const bookController = {
   getBooksByCategory: async (req, res) => {
     try {
       const { categoryId } = req.params;
-      const { page = 1, limit = 10 } = req.query;
+      const { page = 1, limit = 10, currency } = req.query;
 
       const options = {
         page: parseInt(page),
@@ -347,10 +565,18 @@ const bookController = {
       };
 
       const result = await Book.findByCategory(categoryId, options);
+      const localized = await localizeBooks(result.books, currency);
+      if (localized.error) {
+        return res.status(400).json({
+          success: false,
+          error: localized.error,
+        });
+      }
 
       res.json({
         success: true,
-        data: result.books,
+        data: localized.books,
+        currency: localized.currency,
         pagination: result.pagination,
       });
     } catch (error) {
@@ -365,12 +591,20 @@ const bookController = {
   // GET /api/books/search - Search books
   searchBooks: async (req, res) => {
     try {
-      const { q: searchTerm, page = 1, limit = 10 } = req.query;
-
-      if (!searchTerm) {
+      const {
+        q: searchTerm,
+        page = 1,
+        limit = 10,
+        currency,
+        fuzzy,
+      } = req.query;
+
+      // q supports "exact phrases" and -excluded words or phrases
+      const { parsed, error } = prepareSearch(searchTerm);
+      if (error) {
         return res.status(400).json({
           success: false,
-          error: "Search term is required",
+          error,
         });
       }
 
@@ -379,11 +613,54 @@ const bookController = {
         limit: parseInt(limit),
       };
 
-      const result = await Book.search(searchTerm, options);
+      // Misspelled words also match the catalog words closest to them,
+      // unless fuzzy=false asks for exact matching
+      const vocabulary = await Book.getSearchVocabulary();
+      const corrections = findQueryCorrections(parsed, vocabulary);
+      // The vocabulary only holds titles and authors, so a word it lacks may
+      // still be in the text index, e.g. a plural or a description word.
+      // Only words the index finds nothing for are treated as misspelled.
+      for (const word of Object.keys(corrections)) {
+        if ((await Book.countSearch(word)) > 0) {
+          delete corrections[word];
+        }
+      }
+      const expanded =
+        fuzzy === "false"
+          ? { query: parsed, applied: {} }
+          : expandQuery(parsed, corrections);
+
+      const result = await Book.search(toTextSearch(expanded.query), options);
+      const localized = await localizeBooks(result.books, currency);
+      if (localized.error) {
+        return res.status(400).json({
+          success: false,
+          error: localized.error,
+        });
+      }
+
+      // Few results: propose corrected queries that find more books
+      const suggestions = [];
+      if (result.pagination.total < SUGGESTION_THRESHOLD) {
+        for (const suggestion of suggestQueries(parsed, corrections)) {
+          if (suggestions.length >= MAX_SUGGESTIONS) break;
+          const query = toTextSearch(suggestion);
+          const total = await Book.countSearch(query);
+          if (total > result.pagination.total) {
+            suggestions.push({ query, total });
+          }
+        }
+      }
 
       res.json({
         success: true,
-        data: result.books,
+        data: localized.books.map((book) => ({
+          ...book,
+          highlights: buildHighlights(book, expanded.query),
+        })),
+        corrections: expanded.applied,
+        suggestions,
+        currency: localized.currency,
         pagination: result.pagination,
       });
     } catch (error) {
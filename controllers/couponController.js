@@ -0,0 +1,426 @@
+const { ObjectId } = require('mongodb');
+const { getCollection } = require('../config/db');
+
+const COUPON_TYPES = ['percentage', 'fixed', 'free_shipping'];
+
+// Helper functions to get collections
+let couponIndexes = null;
+
+async function getCouponCollection() {
+    const collection = getCollection('coupons');
+    if (!couponIndexes) {
+        couponIndexes = collection.createIndex({ code: 1 }, { unique: true })
+            .catch(error => console.error('Failed to create coupon indexes:', error));
+    }
+    await couponIndexes;
+    return collection;
+}
+
+async function getRedemptionCollection() {
+    return getCollection('coupon_redemptions');
+}
+
+function normalizeCode(code) {
+    return String(code).trim().toUpperCase();
+}
+
+class Coupon {
+    constructor({ code, description, type, value, minimumSpend, bookIds, categoryIds, startsAt, endsAt, usageLimit, perUserLimit, usageCount, isActive, createdAt, updatedAt, _id }) {
+        this.code = code;
+        this.description = description;
+        this.type = type;
+        this.value = Number(value) || 0;
+        this.minimumSpend = Number(minimumSpend) || 0;
+        this.bookIds = bookIds || [];
+        this.categoryIds = categoryIds || [];
+        this.startsAt = startsAt || null;
+        this.endsAt = endsAt || null;
+        this.usageLimit = usageLimit ?? null;
+        this.perUserLimit = perUserLimit ?? null;
+        this.usageCount = usageCount || 0;
+        this.isActive = isActive !== undefined ? isActive : true;
+        this.createdAt = createdAt;
+        this.updatedAt = updatedAt;
+        if (_id) this._id = _id;
+    }
+
+    static async create(couponData) {
+        const collection = await getCouponCollection();
+        const coupon = {
+            ...couponData,
+            usageCount: 0,
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+        const result = await collection.insertOne(coupon);
+        return new Coupon({ ...coupon, _id: result.insertedId });
+    }
+
+    static async findAll(filter = {}) {
+        const collection = await getCouponCollection();
+        const coupons = await collection.find(filter).sort({ createdAt: -1 }).toArray();
+        return coupons.map(coupon => new Coupon(coupon));
+    }
+
+    static async findById(id) {
+        const collection = await getCouponCollection();
+        const coupon = await collection.findOne({ _id: new ObjectId(id) });
+        return coupon ? new Coupon(coupon) : null;
+    }
+
+    static async findByCode(code, { session } = {}) {
+        const collection = await getCouponCollection();
+        const coupon = await collection.findOne({ code: normalizeCode(code) }, { session });
+        return coupon ? new Coupon(coupon) : null;
+    }
+
+    static async updateById(id, updateData) {
+        const collection = await getCouponCollection();
+        const result = await collection.updateOne(
+            { _id: new ObjectId(id) },
+            { $set: { ...updateData, updatedAt: new Date() } }
+        );
+        return result;
+    }
+
+    static async deleteById(id) {
+        const collection = await getCouponCollection();
+        const result = await collection.deleteOne({ _id: new ObjectId(id) });
+        return result;
+    }
+
+    // Records a use of the coupon by an order, enforcing the global and
+    // per-user usage limits. Returns an error message if a limit is reached.
+    static async redeem(coupon, userId, orderId, { session } = {}) {
+        const collection = await getCouponCollection();
+        const redemptions = await getRedemptionCollection();
+
+        if (coupon.perUserLimit !== null) {
+            const used = await redemptions.countDocuments(
+                { couponId: coupon._id, userId: new ObjectId(userId) },
+                { session }
+            );
+            if (used >= coupon.perUserLimit) {
+                return 'You have already used this coupon the maximum number of times';
+            }
+        }
+
+        // Conditional increment, so concurrent orders cannot exceed the global limit
+        const filter = { _id: coupon._id };
+        if (coupon.usageLimit !== null) filter.usageCount = { $lt: coupon.usageLimit };
+
+        const result = await collection.updateOne(filter, { $inc: { usageCount: 1 } }, { session });
+        if (result.modifiedCount === 0) {
+            return 'Coupon usage limit has been reached';
+        }
+
+        await redemptions.insertOne({
+            couponId: coupon._id,
+            code: coupon.code,
+            userId: new ObjectId(userId),
+            orderId: new ObjectId(orderId),
+            createdAt: new Date()
+        }, { session });
+        return null;
+    }
+
+    // Rolls back the coupon uses recorded for an order, e.g. when it is cancelled
+    static async releaseForOrder(orderId, { session } = {}) {
+        const collection = await getCouponCollection();
+        const redemptions = await getRedemptionCollection();
+
+        const orderRedemptions = await redemptions
+            .find({ orderId: new ObjectId(orderId) }, { session })
+            .toArray();
+
+        for (const redemption of orderRedemptions) {
+            const removed = await redemptions.deleteOne({ _id: redemption._id }, { session });
+            if (removed.deletedCount === 0) continue;
+
+            await collection.updateOne(
+                { _id: redemption.couponId, usageCount: { $gt: 0 } },
+                { $inc: { usageCount: -1 } },
+                { session }
+            );
+        }
+    }
+}
+
+// Validates coupon fields from a request body and returns them normalized.
+// With partial set, only the fields present are validated (for updates).
+function parseCouponData(body, { partial = false } = {}) {
+    const data = {};
+    const has = field => body[field] !== undefined;
+
+    if (!partial || has('code')) {
+        if (!body.code || !String(body.code).trim()) return { error: 'Coupon code is required' };
+        data.code = normalizeCode(body.code);
+    }
+
+    if (!partial || has('type')) {
+        if (!COUPON_TYPES.includes(body.type)) {
+            return { error: 'Invalid coupon type. Valid types: ' + COUPON_TYPES.join(', ') };
+        }
+        data.type = body.type;
+    }
+
+    if (has('value') || (!partial && data.type !== 'free_shipping')) {
+        const value = Number(body.value);
+        if (!(value > 0)) return { error: 'Coupon value must be greater than 0' };
+        data.value = value;
+    }
+
+    if (has('description')) data.description = String(body.description);
+    if (!partial && !has('description')) data.description = '';
+
+    for (const field of ['minimumSpend', 'usageLimit', 'perUserLimit']) {
+        if (!has(field) || body[field] === null) {
+            if (has(field)) data[field] = null;
+            continue;
+        }
+        const number = Number(body[field]);
+        if (!(number >= 0)) return { error: `${field} must be a non-negative number` };
+        // A limit of 0 would make the coupon unusable; null means unlimited
+        if (field !== 'minimumSpend' && number === 0) {
+            return { error: `${field} must be greater than 0, or null for no limit` };
+        }
+        data[field] = number;
+    }
+
+    for (const field of ['bookIds', 'categoryIds']) {
+        if (!has(field)) continue;
+        if (!Array.isArray(body[field]) || !body[field].every(id => ObjectId.isValid(id))) {
+            return { error: `${field} must be an array of valid IDs` };
+        }
+        data[field] = body[field].map(id => new ObjectId(id));
+    }
+
+    for (const field of ['startsAt', 'endsAt']) {
+        if (!has(field) || body[field] === null) {
+            if (has(field)) data[field] = null;
+            continue;
+        }
+        const date = new Date(body[field]);
+        if (isNaN(date.getTime())) return { error: `${field} must be a valid date` };
+        data[field] = date;
+    }
+
+    if (has('isActive')) data.isActive = Boolean(body.isActive);
+    if (!partial && !has('isActive')) data.isActive = true;
+
+    // Partial updates check these rules on the merged coupon instead
+    const ruleError = partial ? null : validateCouponRules(data);
+    return ruleError ? { error: ruleError } : { data };
+}
+
+// Rules that span several fields, checked on the whole coupon. Returns an
+// error message or null.
+function validateCouponRules(coupon) {
+    if (coupon.type === 'percentage' && coupon.value > 100) {
+        return 'Percentage coupons cannot exceed 100';
+    }
+    if (coupon.type !== 'free_shipping' && !(coupon.value > 0)) {
+        return 'Coupon value must be greater than 0';
+    }
+    if (coupon.startsAt && coupon.endsAt && new Date(coupon.startsAt) > new Date(coupon.endsAt)) {
+        return 'startsAt must be before endsAt';
+    }
+    return null;
+}
+
+// Controller functions
+const couponController = {
+    // GET /api/coupons - Get all coupons
+    getAllCoupons: async (req, res) => {
+        try {
+            const { active } = req.query;
+            const filter = {};
+
+            // Filter by active status if specified
+            if (active !== undefined) {
+                filter.isActive = active === 'true';
+            }
+
+            const coupons = await Coupon.findAll(filter);
+
+            res.json({
+                success: true,
+                data: coupons
+            });
+
+        } catch (error) {
+            console.error('Get coupons error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch coupons'
+            });
+        }
+    },
+
+    // GET /api/coupons/:id - Get single coupon
+    getCouponById: async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid coupon ID'
+                });
+            }
+
+            const coupon = await Coupon.findById(id);
+            if (!coupon) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Coupon not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: coupon
+            });
+
+        } catch (error) {
+            console.error('Get coupon error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch coupon'
+            });
+        }
+    },
+
+    // POST /api/coupons - Create new coupon
+    createCoupon: async (req, res) => {
+        try {
+            const { data, error } = parseCouponData(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error
+                });
+            }
+
+            const existingCoupon = await Coupon.findByCode(data.code);
+            if (existingCoupon) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Coupon with this code already exists'
+                });
+            }
+
+            const coupon = await Coupon.create(data);
+
+            res.status(201).json({
+                success: true,
+                message: 'Coupon created successfully',
+                data: coupon
+            });
+
+        } catch (error) {
+            console.error('Create coupon error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create coupon'
+            });
+        }
+    },
+
+    // PUT /api/coupons/:id - Update coupon
+    updateCoupon: async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid coupon ID'
+                });
+            }
+
+            const existingCoupon = await Coupon.findById(id);
+            if (!existingCoupon) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Coupon not found'
+                });
+            }
+
+            const { data, error } = parseCouponData(req.body, { partial: true });
+            const ruleError = error || validateCouponRules({ ...existingCoupon, ...data });
+            if (ruleError) {
+                return res.status(400).json({
+                    success: false,
+                    error: ruleError
+                });
+            }
+
+            // If updating code, check for duplicates
+            if (data.code && data.code !== existingCoupon.code) {
+                const duplicateCoupon = await Coupon.findByCode(data.code);
+                if (duplicateCoupon) {
+                    return res.status(409).json({
+                        success: false,
+                        error: 'Coupon with this code already exists'
+                    });
+                }
+            }
+
+            await Coupon.updateById(id, data);
+
+            const updatedCoupon = await Coupon.findById(id);
+
+            res.json({
+                success: true,
+                message: 'Coupon updated successfully',
+                data: updatedCoupon
+            });
+
+        } catch (error) {
+            console.error('Update coupon error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update coupon'
+            });
+        }
+    },
+
+    // DELETE /api/coupons/:id - Delete coupon
+    deleteCoupon: async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid coupon ID'
+                });
+            }
+
+            const result = await Coupon.deleteById(id);
+
+            if (result.deletedCount === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Coupon not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Coupon deleted successfully'
+            });
+
+        } catch (error) {
+            console.error('Delete coupon error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to delete coupon'
+            });
+        }
+    }
+};
+
+module.exports = couponController;
+module.exports.Coupon = Coupon;
@@ -0,0 +1,156 @@
+const { ObjectId } = require('mongodb');
+const { getCollection } = require('../config/db');
+const { BASE_CURRENCY, normalizeCurrency } = require('../services/currency');
+
+// Helper function to get exchange rate collection
+async function getExchangeRateCollection() {
+    return getCollection('exchange_rates');
+}
+
+// Rates are stored per currency code as units of that currency per one unit
+// of the base currency
+class ExchangeRate {
+    constructor({ _id, rate, updatedBy, updatedAt }) {
+        this.code = _id;
+        this.rate = Number(rate);
+        this.updatedBy = updatedBy || null;
+        this.updatedAt = updatedAt;
+    }
+
+    static async findAll() {
+        const collection = await getExchangeRateCollection();
+        const rates = await collection.find({}).sort({ _id: 1 }).toArray();
+        return rates.map(rate => new ExchangeRate(rate));
+    }
+
+    static async findByCode(code, { session } = {}) {
+        const collection = await getExchangeRateCollection();
+        const rate = await collection.findOne({ _id: code }, { session });
+        return rate ? new ExchangeRate(rate) : null;
+    }
+
+    static async upsert(code, rate, updatedBy) {
+        const collection = await getExchangeRateCollection();
+        await collection.updateOne(
+            { _id: code },
+            { $set: { rate, updatedBy, updatedAt: new Date() } },
+            { upsert: true }
+        );
+        return this.findByCode(code);
+    }
+
+    static async deleteByCode(code) {
+        const collection = await getExchangeRateCollection();
+        return collection.deleteOne({ _id: code });
+    }
+
+    // Resolves a requested currency to the { code, rate } that prices are
+    // computed with. No currency means the base currency. Returns
+    // { currency } or { error } for an unknown or unsupported currency.
+    static async resolve(code, { session } = {}) {
+        if (code === undefined || code === null || code === '') {
+            return { currency: { code: BASE_CURRENCY, rate: 1 } };
+        }
+
+        const normalized = normalizeCurrency(code);
+        if (!normalized) return { error: `Invalid currency: ${code}` };
+        if (normalized === BASE_CURRENCY) return { currency: { code: BASE_CURRENCY, rate: 1 } };
+
+        const rate = await this.findByCode(normalized, { session });
+        if (!rate) return { error: `Currency ${normalized} is not supported` };
+        return { currency: { code: normalized, rate: rate.rate } };
+    }
+}
+
+// Controller functions
+const currencyController = {
+    // GET /api/currencies - Get the base currency and the supported currencies
+    getCurrencies: async (req, res) => {
+        try {
+            const rates = await ExchangeRate.findAll();
+
+            res.json({
+                success: true,
+                data: {
+                    baseCurrency: BASE_CURRENCY,
+                    rates
+                }
+            });
+
+        } catch (error) {
+            console.error('Get currencies error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch currencies'
+            });
+        }
+    },
+
+    // PUT /api/currencies/:code - Set a currency's exchange rate (admin only)
+    setExchangeRate: async (req, res) => {
+        try {
+            const code = normalizeCurrency(req.params.code);
+            const rate = Number(req.body.rate);
+
+            if (!code || code === BASE_CURRENCY) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid currency code; rates are set for currencies other than ${BASE_CURRENCY}`
+                });
+            }
+
+            if (!(rate > 0)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Rate must be greater than 0'
+                });
+            }
+
+            // Orders keep the rate they were placed with; only new prices see the change
+            const exchangeRate = await ExchangeRate.upsert(code, rate, new ObjectId(req.user.userId));
+
+            res.json({
+                success: true,
+                message: 'Exchange rate saved successfully',
+                data: exchangeRate
+            });
+
+        } catch (error) {
+            console.error('Set exchange rate error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to save exchange rate'
+            });
+        }
+    },
+
+    // DELETE /api/currencies/:code - Stop supporting a currency (admin only)
+    deleteExchangeRate: async (req, res) => {
+        try {
+            const code = normalizeCurrency(req.params.code);
+            const result = code ? await ExchangeRate.deleteByCode(code) : { deletedCount: 0 };
+
+            if (result.deletedCount === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Exchange rate not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Exchange rate deleted successfully'
+            });
+
+        } catch (error) {
+            console.error('Delete exchange rate error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to delete exchange rate'
+            });
+        }
+    }
+};
+
+module.exports = currencyController;
+module.exports.ExchangeRate = ExchangeRate;
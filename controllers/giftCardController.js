@@ -0,0 +1,423 @@
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { getCollection, withTransaction } = require('../config/db');
+const { roundMoney } = require('../services/pricing');
+const { StoreCredit } = require('./storeCreditController');
+
+// Characters for gift card codes, without ones that are easy to misread
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const MAX_ISSUE_QUANTITY = 100;
+
+// Helper function to get gift card collection
+let giftCardIndexes = null;
+
+async function getGiftCardCollection() {
+    const collection = getCollection('gift_cards');
+    if (!giftCardIndexes) {
+        giftCardIndexes = Promise.all([
+            collection.createIndex({ code: 1 }, { unique: true }),
+            collection.createIndex({ orderId: 1 })
+        ]).catch(error => console.error('Failed to create gift card indexes:', error));
+    }
+    await giftCardIndexes;
+    return collection;
+}
+
+function normalizeCode(code) {
+    return String(code).trim().toUpperCase();
+}
+
+// Random code such as GC-7KQ2-MX9P-4TZD
+function generateCode() {
+    const bytes = crypto.randomBytes(12);
+    const characters = [...bytes].map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    return `GC-${characters.slice(0, 4)}-${characters.slice(4, 8)}-${characters.slice(8, 12)}`;
+}
+
+class GiftCard {
+    constructor({ code, initialBalance, balance, issuedBy, orderId, purchasedBy, recipientEmail, message, expiresAt, isActive, redemptions, createdAt, updatedAt, _id }) {
+        this.code = code;
+        this.initialBalance = Number(initialBalance) || 0;
+        this.balance = Number(balance) || 0;
+        this.issuedBy = issuedBy || null;
+        this.orderId = orderId || null;
+        this.purchasedBy = purchasedBy || null;
+        this.recipientEmail = recipientEmail || null;
+        this.message = message || '';
+        this.expiresAt = expiresAt || null;
+        this.isActive = isActive !== undefined ? isActive : true;
+        this.redemptions = redemptions || [];
+        this.createdAt = createdAt;
+        this.updatedAt = updatedAt;
+        if (_id) this._id = _id;
+    }
+
+    static async create(cardData, { session } = {}) {
+        const collection = await getGiftCardCollection();
+        const card = {
+            recipientEmail: null,
+            message: '',
+            expiresAt: null,
+            ...cardData,
+            code: generateCode(),
+            initialBalance: roundMoney(cardData.amount),
+            balance: roundMoney(cardData.amount),
+            isActive: true,
+            redemptions: [],
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+        delete card.amount;
+
+        const result = await collection.insertOne(card, { session });
+        return new GiftCard({ ...card, _id: result.insertedId });
+    }
+
+    static async findAll(filter = {}, options = {}) {
+        const collection = await getGiftCardCollection();
+        const { page = 1, limit = 20 } = options;
+        const skip = (page - 1) * limit;
+
+        const cards = await collection
+            .find(filter)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .toArray();
+
+        const total = await collection.countDocuments(filter);
+
+        return {
+            giftCards: cards.map(card => new GiftCard(card)),
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    static async findById(id) {
+        const collection = await getGiftCardCollection();
+        const card = await collection.findOne({ _id: new ObjectId(id) });
+        return card ? new GiftCard(card) : null;
+    }
+
+    static async findByCode(code, { session } = {}) {
+        const collection = await getGiftCardCollection();
+        const card = await collection.findOne({ code: normalizeCode(code) }, { session });
+        return card ? new GiftCard(card) : null;
+    }
+
+    static async updateById(id, updateData) {
+        const collection = await getGiftCardCollection();
+        const result = await collection.updateOne(
+            { _id: new ObjectId(id) },
+            { $set: { ...updateData, updatedAt: new Date() } }
+        );
+        return result;
+    }
+
+    // Moves a card's whole balance into the user's store credit.
+    // Returns { amount, giftCard } or { error }.
+    static async redeem(code, userId, { session } = {}) {
+        const collection = await getGiftCardCollection();
+        const card = await this.findByCode(code, { session });
+        if (!card) return { error: 'Invalid gift card code' };
+        if (!card.isActive) return { error: 'Gift card is not active' };
+        if (card.expiresAt && new Date() > new Date(card.expiresAt)) return { error: 'Gift card has expired' };
+        if (!(card.balance > 0)) return { error: 'Gift card has no balance left' };
+
+        // Conditional on the balance read above, so a card is only redeemed once
+        const amount = card.balance;
+        const result = await collection.updateOne(
+            { _id: card._id, balance: amount, isActive: true },
+            {
+                $set: { balance: 0, updatedAt: new Date() },
+                $push: { redemptions: { userId: new ObjectId(userId), amount, redeemedAt: new Date() } }
+            },
+            { session }
+        );
+        if (result.modifiedCount === 0) return { error: 'Gift card has already been redeemed' };
+
+        await StoreCredit.credit(userId, amount, {
+            source: 'gift_card',
+            giftCardId: card._id,
+            notes: `Gift card ${card.code}`,
+            session
+        });
+        return { amount, giftCard: card };
+    }
+
+    // Issues one card per unit of each gift card line bought in an order
+    static async issueForOrder(order, { session } = {}) {
+        const cards = [];
+        for (const item of order.items || []) {
+            if (!(item.giftCardValue > 0)) continue;
+            for (let unit = 0; unit < item.quantity; unit++) {
+                cards.push(await this.create({
+                    amount: item.giftCardValue,
+                    orderId: order._id,
+                    purchasedBy: order.userId
+                }, { session }));
+            }
+        }
+        return cards;
+    }
+
+    static async findByOrder(orderId) {
+        const collection = await getGiftCardCollection();
+        const cards = await collection.find({ orderId: new ObjectId(orderId) }).toArray();
+        return cards.map(card => new GiftCard(card));
+    }
+
+    // Deactivates cards whose value is being refunded. A card is only voided
+    // while it is active and unredeemed, and if any of them no longer is none
+    // stay voided. Returns whether all were voided.
+    static async voidForRefund(cardIds, refundId) {
+        if (cardIds.length === 0) return true;
+        const collection = await getGiftCardCollection();
+        const result = await collection.updateMany(
+            { _id: { $in: cardIds }, isActive: true, redemptions: { $size: 0 } },
+            { $set: { isActive: false, voidedByRefund: refundId, updatedAt: new Date() } }
+        );
+        if (result.modifiedCount === cardIds.length) return true;
+
+        await this.restoreVoided(refundId);
+        return false;
+    }
+
+    // Reactivates the cards a refund voided, when the refund did not go through
+    static async restoreVoided(refundId) {
+        const collection = await getGiftCardCollection();
+        return collection.updateMany(
+            { voidedByRefund: refundId },
+            { $set: { isActive: true, updatedAt: new Date() }, $unset: { voidedByRefund: '' } }
+        );
+    }
+
+    // Deactivates the cards bought with an order, e.g. when it is cancelled.
+    // Balances already redeemed into store credit stay with the user.
+    static async deactivateForOrder(orderId, { session } = {}) {
+        const collection = await getGiftCardCollection();
+        return collection.updateMany(
+            { orderId: new ObjectId(orderId), isActive: true },
+            { $set: { isActive: false, updatedAt: new Date() } },
+            { session }
+        );
+    }
+}
+
+// Controller functions
+const giftCardController = {
+    // GET /api/gift-cards - Get all gift cards (admin only)
+    getAllGiftCards: async (req, res) => {
+        try {
+            const { page = 1, limit = 20, isActive, orderId } = req.query;
+            const filter = {};
+
+            if (isActive !== undefined) filter.isActive = isActive === 'true';
+            if (orderId && ObjectId.isValid(orderId)) filter.orderId = new ObjectId(orderId);
+
+            const result = await GiftCard.findAll(filter, {
+                page: parseInt(page),
+                limit: parseInt(limit)
+            });
+
+            res.json({
+                success: true,
+                data: result.giftCards,
+                pagination: result.pagination
+            });
+
+        } catch (error) {
+            console.error('Get gift cards error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch gift cards'
+            });
+        }
+    },
+
+    // POST /api/gift-cards - Issue one or more gift cards (admin only)
+    issueGiftCards: async (req, res) => {
+        try {
+            const { amount, quantity = 1, recipientEmail, message, expiresAt } = req.body;
+            const value = roundMoney(amount);
+            const count = Number(quantity);
+
+            if (!(value > 0)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Amount must be greater than 0'
+                });
+            }
+
+            if (!Number.isInteger(count) || count < 1 || count > MAX_ISSUE_QUANTITY) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Quantity must be between 1 and ${MAX_ISSUE_QUANTITY}`
+                });
+            }
+
+            if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'expiresAt must be a valid date'
+                });
+            }
+
+            const giftCards = await withTransaction(async (session) => {
+                const cards = [];
+                for (let index = 0; index < count; index++) {
+                    cards.push(await GiftCard.create({
+                        amount: value,
+                        issuedBy: new ObjectId(req.user.userId),
+                        recipientEmail: recipientEmail || null,
+                        message: message || '',
+                        expiresAt: expiresAt ? new Date(expiresAt) : null
+                    }, { session }));
+                }
+                return cards;
+            });
+
+            res.status(201).json({
+                success: true,
+                message: `${giftCards.length} gift card(s) issued successfully`,
+                data: giftCards
+            });
+
+        } catch (error) {
+            console.error('Issue gift cards error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to issue gift cards'
+            });
+        }
+    },
+
+    // PUT /api/gift-cards/:id - Activate, deactivate or change expiry (admin only)
+    updateGiftCard: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { isActive, expiresAt } = req.body;
+            const updateData = {};
+
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid gift card ID'
+                });
+            }
+
+            if (isActive !== undefined) updateData.isActive = Boolean(isActive);
+            if (expiresAt !== undefined) {
+                if (expiresAt !== null && isNaN(new Date(expiresAt).getTime())) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'expiresAt must be a valid date or null'
+                    });
+                }
+                updateData.expiresAt = expiresAt ? new Date(expiresAt) : null;
+            }
+
+            const result = await GiftCard.updateById(id, updateData);
+            if (result.matchedCount === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Gift card not found'
+                });
+            }
+
+            const giftCard = await GiftCard.findById(id);
+
+            res.json({
+                success: true,
+                message: 'Gift card updated successfully',
+                data: giftCard
+            });
+
+        } catch (error) {
+            console.error('Update gift card error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update gift card'
+            });
+        }
+    },
+
+    // GET /api/gift-cards/balance/:code - Check a gift card's balance
+    getGiftCardBalance: async (req, res) => {
+        try {
+            const card = await GiftCard.findByCode(req.params.code);
+            if (!card) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Gift card not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: {
+                    code: card.code,
+                    balance: card.balance,
+                    isActive: card.isActive,
+                    expiresAt: card.expiresAt
+                }
+            });
+
+        } catch (error) {
+            console.error('Get gift card balance error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch gift card balance'
+            });
+        }
+    },
+
+    // POST /api/gift-cards/redeem - Add a gift card's balance to own store credit
+    redeemGiftCard: async (req, res) => {
+        try {
+            const { code } = req.body;
+            const { userId } = req.user;
+
+            if (!code) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Gift card code is required'
+                });
+            }
+
+            const result = await withTransaction(session => GiftCard.redeem(code, userId, { session }));
+            if (result.error) {
+                return res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+
+            const balance = await StoreCredit.getBalance(userId);
+
+            res.json({
+                success: true,
+                message: `${result.amount} added to your store credit`,
+                data: {
+                    amount: result.amount,
+                    balance
+                }
+            });
+
+        } catch (error) {
+            console.error('Redeem gift card error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to redeem gift card'
+            });
+        }
+    }
+};
+
+module.exports = giftCardController;
+module.exports.GiftCard = GiftCard;
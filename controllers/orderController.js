@@ -1,46 +1,440 @@
-const { MongoClient, ObjectId } = require('mongodb');
-
-// MongoDB connection setup
-const uri = process.env.MONGO_URI || 'mongodb://localhost:27017';
-const dbName = process.env.DB_NAME || 'schoolplus_db';
-const client = new MongoClient(uri);
+const { ObjectId } = require('mongodb');
+const { getCollection, withTransaction } = require('../config/db');
+const { calculatePricing, roundMoney, PricingError } = require('../services/pricing');
+const { getProvider, DEFAULT_CURRENCY } = require('../services/payments');
+const { BASE_CURRENCY, localizePrice } = require('../services/currency');
+const { Coupon } = require('./couponController');
+const { ShippingMethod } = require('./shippingController');
+const { TaxRule } = require('./taxController');
+const { StoreCredit } = require('./storeCreditController');
+const { GiftCard } = require('./giftCardController');
+const { ExchangeRate } = require('./currencyController');
+const { buildInvoice, renderInvoiceHtml, renderInvoicePdf } = require('../services/invoice');
+const { resolveColumns, toRows, isValidTimezone, csvLine } = require('../services/orderExport');
+const { once } = require('events');
+
+// Order numbers restart every day ('daily') or keep counting forever ('global')
+const ORDER_NUMBER_SCOPE = process.env.ORDER_NUMBER_SCOPE === 'global' ? 'global' : 'daily';
 
 // Helper functions to get collections
+let orderIndexes = null;
+
 async function getOrderCollection() {
-    return client.db(dbName).collection('orders');
+    const collection = getCollection('orders');
+    if (!orderIndexes) {
+        orderIndexes = Promise.all([
+            collection.createIndex({ orderNumber: 1 }, { unique: true }),
+            collection.createIndex({ userId: 1, createdAt: -1 }),
+            collection.createIndex({ createdAt: -1 }),
+            collection.createIndex({ status: 1, createdAt: 1 }),
+            collection.createIndex({ 'items.bookId': 1 }),
+            collection.createIndex(
+                { invoiceNumber: 1 },
+                { unique: true, partialFilterExpression: { invoiceNumber: { $type: 'string' } } }
+            )
+        ]).catch(error => console.error('Failed to create order indexes:', error));
+    }
+    await orderIndexes;
+    return collection;
+}
+
+async function getCounterCollection() {
+    return getCollection('counters');
 }
 
 async function getBookCollection() {
-    return client.db(dbName).collection('books');
+    return getCollection('books');
 }
 
 async function getUserCollection() {
-    return client.db(dbName).collection('users');
+    return getCollection('users');
+}
+
+// Allowed status changes; delivered and cancelled are final.
+// partially_shipped, shipped and delivered also follow from an order's shipments.
+const STATUS_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['processing', 'partially_shipped', 'shipped', 'cancelled'],
+    processing: ['partially_shipped', 'shipped', 'cancelled'],
+    partially_shipped: ['shipped'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: []
+};
+
+// Statuses in which items can still be packed into shipments
+const SHIPPABLE_STATUSES = ['confirmed', 'processing', 'partially_shipped'];
+
+// Thrown to abort a transaction and report a client error with the given status
+class OrderError extends Error {
+    constructor(status, message, details = {}) {
+        super(message);
+        this.name = 'OrderError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// Sort options accepted by the order list, as ?sort=<name>
+const ORDER_SORTS = {
+    date_desc: { createdAt: -1 },
+    date_asc: { createdAt: 1 },
+    total_desc: { totalAmount: -1, createdAt: -1 },
+    total_asc: { totalAmount: 1, createdAt: -1 },
+    number_desc: { orderNumber: -1 },
+    number_asc: { orderNumber: 1 },
+    status_asc: { status: 1, createdAt: -1 },
+    status_desc: { status: -1, createdAt: -1 }
+};
+
+function escapeRegex(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Builds the order list filter from the query string. Only admins can look up
+// other customers; everyone else only ever sees their own orders.
+async function buildOrderFilter(query, user) {
+    const conditions = [];
+    const isAdmin = user.role === 'admin';
+
+    if (!isAdmin) {
+        conditions.push({ userId: new ObjectId(user.userId) });
+    } else if (query.userId) {
+        if (!ObjectId.isValid(query.userId)) return { error: 'Invalid user ID' };
+        conditions.push({ userId: new ObjectId(query.userId) });
+    }
+
+    if (query.status) {
+        conditions.push({ status: query.status });
+    }
+
+    // Orders whose payment needs a look from staff, e.g. money received after cancellation
+    if (isAdmin && query.paymentReview === 'true') {
+        conditions.push({ 'paymentReview.resolved': false });
+    }
+
+    // Orders with thread messages the requesting side has not read yet
+    if (query.unread === 'true') {
+        conditions.push({ [isAdmin ? 'messaging.unreadByStaff' : 'messaging.unreadByCustomer']: { $gt: 0 } });
+    }
+
+    if (query.paymentMethod) {
+        conditions.push({ paymentMethod: query.paymentMethod });
+    }
+
+    // Created-at range, both ends inclusive
+    if (query.from || query.to) {
+        const createdAt = {};
+        for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+            if (!query[param]) continue;
+            const date = new Date(query[param]);
+            if (isNaN(date.getTime())) return { error: `${param} must be a valid date` };
+            createdAt[operator] = date;
+        }
+        conditions.push({ createdAt });
+    }
+
+    if (query.minTotal !== undefined || query.maxTotal !== undefined) {
+        const totalAmount = {};
+        for (const [param, operator] of [['minTotal', '$gte'], ['maxTotal', '$lte']]) {
+            if (query[param] === undefined || query[param] === '') continue;
+            const amount = Number(query[param]);
+            if (isNaN(amount)) return { error: `${param} must be a number` };
+            totalAmount[operator] = amount;
+        }
+        if (Object.keys(totalAmount).length > 0) conditions.push({ totalAmount });
+    }
+
+    if (query.orderNumber) {
+        conditions.push({ orderNumber: { $regex: `^${escapeRegex(query.orderNumber.trim().toUpperCase())}` } });
+    }
+
+    // A book ID, or part of a title of a book in the order
+    if (query.book) {
+        conditions.push(ObjectId.isValid(query.book)
+            ? { 'items.bookId': new ObjectId(query.book) }
+            : { 'items.title': { $regex: escapeRegex(query.book), $options: 'i' } });
+    }
+
+    // Part of a customer's name or email
+    if (isAdmin && query.customer) {
+        const users = await getUserCollection();
+        const pattern = { $regex: escapeRegex(query.customer.trim()), $options: 'i' };
+        const customers = await users
+            .find({ $or: [{ name: pattern }, { email: pattern }] }, { projection: { _id: 1 } })
+            .toArray();
+        conditions.push({ userId: { $in: customers.map(customer => customer._id) } });
+    }
+
+    if (conditions.length === 0) return { filter: {} };
+    return { filter: conditions.length === 1 ? conditions[0] : { $and: conditions } };
+}
+
+// Validates requested order items and merges duplicate books into a single
+// line. Returns { quantities } keyed by book ID, or { error }.
+function parseOrderItems(items) {
+    if (!items || !Array.isArray(items) || items.length === 0) {
+        return { error: 'Order items are required' };
+    }
+
+    const quantities = new Map();
+    for (const item of items) {
+        const quantity = Number(item && item.quantity);
+        if (!item || !item.bookId || !ObjectId.isValid(item.bookId) || !Number.isInteger(quantity) || quantity <= 0) {
+            return { error: 'Each item must have a valid bookId and quantity' };
+        }
+
+        const bookId = item.bookId.toString();
+        quantities.set(bookId, (quantities.get(bookId) || 0) + quantity);
+    }
+    return { quantities };
+}
+
+// Fields an admin may change through PUT /api/orders/:id; everything else
+// follows from them or has its own endpoint
+const EDITABLE_ORDER_FIELDS = ['items', 'shippingAddress', 'paymentMethod', 'notes'];
+
+// Line items can only change while nothing has been paid or shipped
+const ITEM_EDITABLE_STATUSES = ['pending', 'confirmed'];
+const UNSETTLED_PAYMENT_STATUSES = ['unpaid', 'failed'];
+
+// An order counts as a sale once it has been paid for and was not cancelled;
+// refunds are netted out of its revenue
+const SALE_FILTER = { status: { $ne: 'cancelled' }, paymentStatus: { $in: ['paid', 'refunded'] } };
+const IS_SALE = {
+    $and: [
+        { $ne: ['$status', 'cancelled'] },
+        { $in: ['$paymentStatus', SALE_FILTER.paymentStatus.$in] }
+    ]
+};
+
+// Quantity of each book already packed into the order's shipments
+function shippedQuantities(order) {
+    const quantities = new Map();
+    for (const shipment of order.shipments || []) {
+        for (const item of shipment.items) {
+            const bookId = item.bookId.toString();
+            quantities.set(bookId, (quantities.get(bookId) || 0) + item.quantity);
+        }
+    }
+    return quantities;
+}
+
+// Fulfilment status that follows from the order's shipments, or null while nothing has shipped
+function deriveFulfilmentStatus(order) {
+    const shipments = order.shipments || [];
+    if (shipments.length === 0) return null;
+
+    const shipped = shippedQuantities(order);
+    const allShipped = order.items.every(item => (shipped.get(item.bookId.toString()) || 0) >= item.quantity);
+    if (!allShipped) return 'partially_shipped';
+
+    return shipments.every(shipment => shipment.deliveredAt) ? 'delivered' : 'shipped';
+}
+
+// How often a reorder re-reads a cart line that changed under it
+const CART_UPDATE_ATTEMPTS = 3;
+
+// Adds up to `requested` copies of a book to a user's cart line by line, so
+// concurrent cart changes are kept: an existing line is incremented, a new one
+// is pushed. Quantities already in the cart count against the stock, and the
+// line is only updated while it still holds the quantity that was read.
+// Returns the quantity added, or null if the line kept changing.
+async function addToUserCart(userCollection, userId, book, requested) {
+    const bookIds = [book._id, book._id.toString()];
+    const stock = Number(book.stock) || 0;
+
+    for (let attempt = 0; attempt < CART_UPDATE_ATTEMPTS; attempt++) {
+        const user = await userCollection.findOne(
+            { _id: userId },
+            { projection: { cart: { $elemMatch: { bookId: { $in: bookIds } } } } }
+        );
+        if (!user) return null;
+
+        const line = user.cart && user.cart[0];
+        const inCart = line ? line.quantity : 0;
+        const quantity = Math.min(requested, Math.max(stock - inCart, 0));
+        if (quantity === 0) return 0;
+
+        // Lines are re-priced at the current catalog price
+        const result = line
+            ? await userCollection.updateOne(
+                { _id: userId, cart: { $elemMatch: { bookId: { $in: bookIds }, quantity: inCart } } },
+                {
+                    $inc: { 'cart.$.quantity': quantity },
+                    $set: { 'cart.$.title': book.title, 'cart.$.author': book.author, 'cart.$.price': book.price }
+                }
+            )
+            : await userCollection.updateOne(
+                { _id: userId, 'cart.bookId': { $nin: bookIds } },
+                {
+                    $push: {
+                        cart: {
+                            bookId: book._id,
+                            title: book.title,
+                            author: book.author,
+                            price: book.price,
+                            quantity,
+                            addedAt: new Date()
+                        }
+                    }
+                }
+            );
+        if (result.modifiedCount === 1) return quantity;
+    }
+    return null;
+}
+
+// What was paid for the given units of an order's lines: each line's share of
+// the coupon discount comes off and its tax is added unless prices include it.
+// Orders priced before lines recorded their discount share spread the order's
+// discount over all lines.
+function paidValue(order, items) {
+    const merchandiseDiscount = (order.discounts || [])
+        .filter(discount => discount.type !== 'free_shipping')
+        .reduce((sum, discount) => sum + discount.amount, 0);
+
+    const value = items.reduce((sum, item) => {
+        const line = order.items.find(orderLine => orderLine.bookId.toString() === item.bookId.toString());
+        if (!line) return sum;
+
+        const lineSubtotal = line.subtotal !== undefined ? line.subtotal : line.price * line.quantity;
+        const discount = line.discountAmount !== undefined
+            ? line.discountAmount
+            : (order.subtotal > 0 ? merchandiseDiscount * lineSubtotal / order.subtotal : 0);
+        const tax = order.taxMode === 'inclusive' ? 0 : (line.taxAmount || 0);
+        return sum + (lineSubtotal - discount + tax) * item.quantity / line.quantity;
+    }, 0);
+    return roundMoney(value);
+}
+
+// What one gift card bought with an order was paid for: its line's paid
+// value per unit, or its face value if no line matches
+function giftCardPaidValue(order, card) {
+    const line = order.items.find(item => item.giftCardValue === card.initialBalance);
+    return line ? paidValue(order, [{ bookId: line.bookId, quantity: 1 }]) : card.initialBalance;
+}
+
+// Gift cards bought with an order keep their value once redeemed, so refunds
+// must leave enough of the order unrefunded to pay for the cards its customer
+// keeps. Picks the unredeemed cards a refund of the amount has to void: those
+// of returned gift card lines, then more while the refund reaches into the
+// value of the cards left. `remaining` is what the order still holds after
+// the refund. Returns { cards } or { error }.
+async function giftCardsToVoid(order, amount, { items = [], remaining }) {
+    if (!order.items.some(item => item.giftCardValue > 0)) return { cards: [] };
+
+    const cards = await GiftCard.findByOrder(order._id);
+    const redeemed = cards.filter(card => card.redemptions.length > 0);
+    const voidable = cards
+        .filter(card => card.isActive && card.redemptions.length === 0)
+        .sort((a, b) => giftCardPaidValue(order, b) - giftCardPaidValue(order, a));
+    const voided = [];
+
+    for (const item of items) {
+        const line = order.items.find(orderLine => orderLine.bookId.toString() === item.bookId.toString());
+        if (!line || !(line.giftCardValue > 0)) continue;
+        for (let unit = 0; unit < item.quantity; unit++) {
+            const index = voidable.findIndex(card => card.initialBalance === line.giftCardValue);
+            if (index === -1) {
+                return { error: 'Returned gift cards have already been redeemed and cannot be refunded' };
+            }
+            voided.push(...voidable.splice(index, 1));
+        }
+    }
+
+    const keptValue = () => roundMoney([...redeemed, ...voidable]
+        .reduce((sum, card) => sum + giftCardPaidValue(order, card), 0));
+    while (keptValue() > remaining && voidable.length > 0) {
+        voided.push(voidable.shift());
+    }
+    if (keptValue() > remaining) {
+        const redeemedValue = roundMoney(redeemed.reduce((sum, card) => sum + giftCardPaidValue(order, card), 0));
+        return {
+            error: `Gift cards worth ${redeemedValue} bought with this order have already been redeemed, ` +
+                `so at most ${roundMoney(Math.max(remaining + amount - redeemedValue, 0))} can be refunded`
+        };
+    }
+    return { cards: voided };
+}
+
+// How often marking a thread read re-counts when messages keep arriving
+const MARK_READ_ATTEMPTS = 3;
+
+// How often a refund re-reads an order that changed while it was reserved
+const REFUND_RESERVE_ATTEMPTS = 3;
+
+// How much of an order can still be refunded and how a refund of the amount
+// splits: the amount charged by the provider is refunded first and anything
+// beyond it goes back as the store credit the order was paid with. Credit
+// restored on cancellation has already been given back.
+function splitRefund(order, amount) {
+    const refundedAmount = order.refundedAmount || 0;
+    const restoredCredit = order.storeCreditRestored
+        ? Math.max((order.storeCreditApplied || 0) - (order.storeCreditRefunded || 0), 0)
+        : 0;
+    const providerPaid = order.payment ? order.amountDue : 0;
+    const providerRemaining = Math.max(providerPaid - refundedAmount, 0);
+    const toProvider = roundMoney(Math.min(amount, providerRemaining));
+    return {
+        refundable: roundMoney(Math.max(order.totalAmount - refundedAmount - restoredCredit, 0)),
+        toProvider,
+        toStoreCredit: roundMoney(amount - toProvider)
+    };
 }
 
 class Order {
-    constructor({ userId, items, totalAmount, status, shippingAddress, paymentMethod, notes, _id }) {
+    constructor({ userId, orderNumber, items, subtotal, couponCode, discounts, discountTotal, taxMode, taxAmount, taxBreakdown, shippingAmount, shippingMethod, totalAmount, currency, exchangeRate, storeCreditApplied, storeCreditRefunded, amountDue, status, statusHistory, shippingAddress, paymentMethod, paymentStatus, payment, refunds, refundedAmount, shipments, invoiceNumber, invoicedAt, giftCards, paymentReview, messaging, editHistory, notes, createdAt, updatedAt, _id }) {
         this.userId = userId;
+        this.orderNumber = orderNumber;
         this.items = items;
+        this.subtotal = subtotal;
+        this.couponCode = couponCode || null;
+        this.discounts = discounts || [];
+        this.discountTotal = discountTotal || 0;
+        this.taxMode = taxMode || 'exclusive';
+        this.taxAmount = taxAmount || 0;
+        this.taxBreakdown = taxBreakdown || [];
+        this.shippingAmount = shippingAmount || 0;
+        this.shippingMethod = shippingMethod || null;
         this.totalAmount = Number(totalAmount);
+        this.currency = currency || BASE_CURRENCY;
+        this.exchangeRate = exchangeRate || 1;
+        this.storeCreditApplied = storeCreditApplied || 0;
+        this.storeCreditRefunded = storeCreditRefunded || 0;
+        this.amountDue = amountDue !== undefined ? amountDue : this.totalAmount;
         this.status = status || 'pending';
+        this.statusHistory = statusHistory || [];
         this.shippingAddress = shippingAddress;
         this.paymentMethod = paymentMethod;
+        this.paymentStatus = paymentStatus || 'unpaid';
+        this.payment = payment || null;
+        this.refunds = refunds || [];
+        this.refundedAmount = refundedAmount || 0;
+        this.shipments = shipments || [];
+        this.invoiceNumber = invoiceNumber || null;
+        this.invoicedAt = invoicedAt || null;
+        this.giftCards = giftCards || [];
+        this.paymentReview = paymentReview || null;
+        this.messaging = messaging || { unreadByCustomer: 0, unreadByStaff: 0, lastMessageAt: null };
+        this.editHistory = editHistory || [];
         this.notes = notes;
+        this.createdAt = createdAt;
+        this.updatedAt = updatedAt;
         if (_id) this._id = _id;
     }
 
-    static async create(orderData) {
+    static async create(orderData, { session } = {}) {
         const collection = await getOrderCollection();
         const order = {
             ...orderData,
             totalAmount: Number(orderData.totalAmount),
             status: orderData.status || 'pending',
-            orderNumber: await this.generateOrderNumber(),
+            orderNumber: await this.generateOrderNumber({ session }),
             createdAt: new Date(),
             updatedAt: new Date()
         };
-        const result = await collection.insertOne(order);
+        const result = await collection.insertOne(order, { session });
         return new Order({ ...order, _id: result.insertedId });
     }
 
@@ -69,12 +463,24 @@ class Order {
         };
     }
 
+    // Cursor over every matching order, for reading large result sets in batches
+    static async findCursor(filter = {}, { sort = { createdAt: -1 } } = {}) {
+        const collection = await getOrderCollection();
+        return collection.find(filter).sort(sort);
+    }
+
     static async findById(id) {
         const collection = await getOrderCollection();
         const order = await collection.findOne({ _id: new ObjectId(id) });
         return order ? new Order(order) : null;
     }
 
+    static async findByOrderNumber(orderNumber) {
+        const collection = await getOrderCollection();
+        const order = await collection.findOne({ orderNumber });
+        return order ? new Order(order) : null;
+    }
+
     static async findByUserId(userId, options = {}) {
         return this.findAll({ userId: new ObjectId(userId) }, options);
     }
@@ -94,10 +500,379 @@ class Order {
         return result;
     }
 
-    static async updateStatus(id, status, notes = '') {
+    // match adds conditions the order must still meet, e.g. its current payment status
+    static async updatePayment(id, paymentData, { match = {}, session } = {}) {
         const collection = await getOrderCollection();
         const result = await collection.updateOne(
-            { _id: new ObjectId(id) },
+            { ...match, _id: new ObjectId(id) },
+            { $set: { ...paymentData, updatedAt: new Date() } },
+            { session }
+        );
+        return result;
+    }
+
+    static async findByPaymentIntent(provider, intentId, { session } = {}) {
+        const collection = await getOrderCollection();
+        const order = await collection.findOne({ 'payment.provider': provider, 'payment.intentId': intentId }, { session });
+        return order ? new Order(order) : null;
+    }
+
+    // Cancels the order's payment intent at its provider so it can no longer
+    // be paid, and marks it cancelled. Throws if the provider refuses, e.g.
+    // because the intent is being paid.
+    static async cancelPaymentIntent(order, { session } = {}) {
+        if (!order.payment || !order.payment.intentId || order.payment.cancelledAt) return;
+
+        await getProvider(order.payment.provider).cancelIntent({ intentId: order.payment.intentId });
+        const cancelledAt = new Date();
+        await this.updatePayment(order._id, { 'payment.cancelledAt': cancelledAt }, {
+            match: { 'payment.intentId': order.payment.intentId },
+            session
+        });
+        order.payment = { ...order.payment, cancelledAt };
+    }
+
+    // Opens a payment intent for the order with the configured provider and
+    // records it on the order. An intent opened before is cancelled first, as
+    // webhooks are only matched against the current one. Returns the intent,
+    // whose client secret is handed to the client but never stored.
+    static async openPaymentIntent(order) {
+        await this.cancelPaymentIntent(order);
+
+        const provider = getProvider();
+        const intent = await provider.createIntent({
+            amount: order.amountDue,
+            currency: order.currency || DEFAULT_CURRENCY,
+            orderId: order._id,
+            orderNumber: order.orderNumber
+        });
+
+        const payment = {
+            provider: provider.name,
+            intentId: intent.id,
+            amount: intent.amount,
+            currency: intent.currency,
+            createdAt: new Date()
+        };
+        // Only replaces the intent cancelled above, so of two concurrent
+        // requests one records its intent and the other cancels its own
+        const recorded = await this.updatePayment(order._id, { payment }, {
+            match: { 'payment.intentId': order.payment ? order.payment.intentId : null }
+        });
+        if (recorded.matchedCount === 0) {
+            await provider.cancelIntent({ intentId: intent.id });
+            throw new Error('Another payment intent was opened for this order meanwhile');
+        }
+        order.payment = payment;
+
+        return { ...payment, status: intent.status, clientSecret: intent.clientSecret };
+    }
+
+    // Refunds part or all of a paid order through its payment provider, or as
+    // store credit for the part paid with credit, and records the refund. The amount is reserved with a conditional update
+    // first, so concurrent refunds can never add up to more than was paid.
+    // Store credit already given back by a cancellation is not refundable again.
+    // Gift cards bought with the order are voided when the refund covers them,
+    // and ones already redeemed cannot be refunded; `items` are the returned
+    // lines of a return. Returns { refund } or { error }.
+    static async refund(order, { amount, reason = '', returnId = null, refundedBy = null, items = [] }) {
+        const collection = await getOrderCollection();
+        const refundAmount = roundMoney(amount);
+        if (!(refundAmount > 0)) {
+            return { error: 'Refund amount must be greater than 0' };
+        }
+
+        const refund = {
+            _id: new ObjectId(),
+            amount: refundAmount,
+            reason,
+            returnId: returnId ? new ObjectId(returnId) : null,
+            refundedBy: refundedBy ? new ObjectId(refundedBy) : null,
+            status: 'pending',
+            createdAt: new Date()
+        };
+
+        // The reservation only applies while the refunded amount and the store
+        // credit restore are as read, so a concurrent refund or cancellation
+        // makes it re-read the order
+        let reservedOrder = null;
+        for (let attempt = 0; attempt < REFUND_RESERVE_ATTEMPTS && !reservedOrder; attempt++) {
+            const current = await collection.findOne({ _id: new ObjectId(order._id) });
+            if (!current || current.paymentStatus !== 'paid') {
+                return { error: 'Only paid orders can be refunded' };
+            }
+
+            const split = splitRefund(current, refundAmount);
+            if (refundAmount > split.refundable) {
+                return { error: `Refund exceeds the refundable amount of ${split.refundable}` };
+            }
+            refund.toProvider = split.toProvider;
+            refund.toStoreCredit = split.toStoreCredit;
+
+            const giftCards = await giftCardsToVoid(current, refundAmount, {
+                items,
+                remaining: roundMoney(split.refundable - refundAmount)
+            });
+            if (giftCards.error) return { error: giftCards.error };
+            refund.giftCardsVoided = giftCards.cards.map(card => card._id);
+
+            // The credit part counts as refunded from here on, so a cancellation
+            // restoring the order's store credit cannot pay it out as well
+            const reserved = await collection.findOneAndUpdate(
+                {
+                    _id: current._id,
+                    paymentStatus: 'paid',
+                    $expr: {
+                        $and: [
+                            { $eq: [{ $ifNull: ['$refundedAmount', 0] }, current.refundedAmount || 0] },
+                            { $eq: [{ $ifNull: ['$storeCreditRestored', false] }, current.storeCreditRestored || false] }
+                        ]
+                    }
+                },
+                {
+                    $inc: { refundedAmount: refundAmount, storeCreditRefunded: refund.toStoreCredit },
+                    $push: { refunds: refund },
+                    $set: { updatedAt: new Date() }
+                },
+                { returnDocument: 'after' }
+            );
+            if (reserved) reservedOrder = new Order(reserved);
+        }
+        if (!reservedOrder) {
+            return { error: 'Order was changed by another request, please retry' };
+        }
+
+        // Release the reservation so the refund can be attempted again
+        const releaseReservation = async () => {
+            const released = await collection.findOneAndUpdate(
+                { _id: new ObjectId(order._id) },
+                {
+                    $inc: { refundedAmount: -refundAmount, storeCreditRefunded: -refund.toStoreCredit },
+                    $pull: { refunds: { _id: refund._id } }
+                }
+            );
+            // A cancellation in between restored the credit without this refund's part
+            if (released && released.storeCreditRestored && refund.toStoreCredit > 0) {
+                await StoreCredit.credit(reservedOrder.userId, refund.toStoreCredit, {
+                    source: 'order_cancelled',
+                    orderId: reservedOrder._id,
+                    notes: `Order ${reservedOrder.orderNumber} cancelled`
+                });
+            }
+        };
+
+        if (!(await GiftCard.voidForRefund(refund.giftCardsVoided, refund._id))) {
+            await releaseReservation();
+            return { error: 'A gift card bought with this order was redeemed meanwhile, please retry' };
+        }
+
+        let providerRefund = null;
+        try {
+            if (refund.toProvider > 0) {
+                providerRefund = await getProvider(order.payment.provider).refund({
+                    intentId: order.payment.intentId,
+                    amount: refund.toProvider,
+                    currency: order.payment.currency
+                });
+            }
+        } catch (error) {
+            await GiftCard.restoreVoided(refund._id);
+            await releaseReservation();
+            throw error;
+        }
+
+        if (refund.toStoreCredit > 0) {
+            await StoreCredit.credit(reservedOrder.userId, refund.toStoreCredit, {
+                source: 'refund',
+                orderId: reservedOrder._id,
+                notes: `Refund for order ${reservedOrder.orderNumber}`,
+                createdBy: refundedBy
+            });
+        }
+
+        refund.status = 'succeeded';
+        refund.providerRefundId = providerRefund ? providerRefund.id : null;
+        await collection.updateOne(
+            { _id: new ObjectId(order._id) },
+            {
+                $set: {
+                    'refunds.$[refund].status': refund.status,
+                    'refunds.$[refund].providerRefundId': refund.providerRefundId,
+                    'refunds.$[refund].toProvider': refund.toProvider,
+                    'refunds.$[refund].toStoreCredit': refund.toStoreCredit
+                }
+            },
+            { arrayFilters: [{ 'refund._id': refund._id }] }
+        );
+
+        // Fully refunded orders change payment status; store credit restored
+        // on cancellation counts as given back
+        const restoredCredit = {
+            $cond: [
+                { $eq: ['$storeCreditRestored', true] },
+                { $max: [{ $subtract: [{ $ifNull: ['$storeCreditApplied', 0] }, { $ifNull: ['$storeCreditRefunded', 0] }] }, 0] },
+                0
+            ]
+        };
+        await collection.updateOne(
+            { _id: new ObjectId(order._id), $expr: { $gte: [{ $add: ['$refundedAmount', restoredCredit] }, '$totalAmount'] } },
+            { $set: { paymentStatus: 'refunded' } }
+        );
+
+        return { refund };
+    }
+
+    // What can still be refunded of an order: its unrefunded total, less the
+    // store credit restored on cancellation and the gift cards already redeemed
+    static async refundableAmount(id) {
+        const collection = await getOrderCollection();
+        const order = await collection.findOne({ _id: new ObjectId(id) });
+        if (!order) return 0;
+
+        const { refundable } = splitRefund(order, 0);
+        const redeemed = order.items.some(item => item.giftCardValue > 0)
+            ? (await GiftCard.findByOrder(order._id)).filter(card => card.redemptions.length > 0)
+            : [];
+        const redeemedValue = redeemed.reduce((sum, card) => sum + giftCardPaidValue(order, card), 0);
+        return roundMoney(Math.max(refundable - redeemedValue, 0));
+    }
+
+    // Records a refund made at the payment provider rather than through
+    // Order.refund, e.g. from the provider's dashboard, in the order's refund
+    // ledger. Refunds this service started are recognised and not recorded
+    // twice. Returns the recorded refund, or null if there was nothing to record.
+    static async recordProviderRefund(order, { amount, providerRefundId = null }, { session } = {}) {
+        const collection = await getOrderCollection();
+        const known = order.refunds.find(refund =>
+            (providerRefundId && refund.providerRefundId === providerRefundId) ||
+            // Started here and still waiting for the provider's answer
+            (refund.status === 'pending' && refund.toProvider === roundMoney(amount)));
+        if (known) return null;
+
+        const providerPaid = order.payment ? order.amountDue : 0;
+        const providerRefunded = order.refunds
+            .filter(refund => refund.status !== 'failed')
+            .reduce((sum, refund) => sum + (refund.toProvider !== undefined ? refund.toProvider : refund.amount), 0);
+        const remaining = roundMoney(providerPaid - providerRefunded);
+        const refundAmount = roundMoney(Math.min(amount > 0 ? amount : remaining, remaining));
+        if (!(refundAmount > 0)) return null;
+
+        const refund = {
+            _id: new ObjectId(),
+            amount: refundAmount,
+            reason: 'Refunded at the payment provider',
+            returnId: null,
+            refundedBy: null,
+            status: 'succeeded',
+            providerRefundId,
+            toProvider: refundAmount,
+            toStoreCredit: 0,
+            createdAt: new Date()
+        };
+        const refundedAmount = roundMoney(order.refundedAmount + refundAmount);
+
+        await collection.updateOne(
+            { _id: new ObjectId(order._id) },
+            {
+                $inc: { refundedAmount: refundAmount },
+                $push: { refunds: refund },
+                $set: {
+                    updatedAt: new Date(),
+                    ...(refundedAmount >= order.totalAmount && { paymentStatus: 'refunded' })
+                }
+            },
+            { session }
+        );
+        return refund;
+    }
+
+    // Writes an admin edit and appends it to the edit history. Matches only
+    // while the order is as the edit found it, so concurrent edits cannot
+    // both apply.
+    static async applyEdit(order, changes, edit, { session } = {}) {
+        const collection = await getOrderCollection();
+        return collection.updateOne(
+            { _id: new ObjectId(order._id), status: order.status, updatedAt: order.updatedAt },
+            {
+                $set: { ...changes, updatedAt: edit.editedAt },
+                $push: { editHistory: edit }
+            },
+            { session }
+        );
+    }
+
+    // Pending orders created before the cutoff that nobody has paid for yet,
+    // leaving out those whose cancellation was put off until later
+    static async findStalePending(cutoff, { limit = 100, now = new Date() } = {}) {
+        const collection = await getOrderCollection();
+        const orders = await collection
+            .find({
+                status: 'pending',
+                paymentStatus: { $in: UNSETTLED_PAYMENT_STATUSES },
+                createdAt: { $lte: cutoff },
+                staleCancelRetryAt: { $not: { $gt: now } }
+            })
+            .sort({ createdAt: 1 })
+            .limit(limit)
+            .toArray();
+        return orders.map(order => new Order(order));
+    }
+
+    // Puts off cancelling a stale order, e.g. while its payment provider
+    // refuses to cancel the payment. Each attempt doubles the delay.
+    static async deferStaleCancel(order, { baseDelayMs, maxDelayMs, now = new Date() }) {
+        const collection = await getOrderCollection();
+        const counted = await collection.findOneAndUpdate(
+            { _id: new ObjectId(order._id) },
+            { $inc: { staleCancelAttempts: 1 } },
+            { returnDocument: 'after', projection: { staleCancelAttempts: 1 } }
+        );
+        if (!counted) return null;
+
+        const delay = Math.min(baseDelayMs * 2 ** (counted.staleCancelAttempts - 1), maxDelayMs);
+        const retryAt = new Date(now.getTime() + delay);
+        await collection.updateOne(
+            { _id: counted._id },
+            { $set: { staleCancelRetryAt: retryAt } }
+        );
+        return retryAt;
+    }
+
+    static async findByIdInSession(id, session) {
+        const collection = await getOrderCollection();
+        const order = await collection.findOne({ _id: new ObjectId(id) }, { session });
+        return order ? new Order(order) : null;
+    }
+
+    // Moves the order to the status its shipments imply, if that differs from
+    // the current one and is a legal transition
+    static async syncFulfilmentStatus(order, { session } = {}) {
+        const derived = deriveFulfilmentStatus(order);
+        if (!derived || derived === order.status || !this.canTransition(order.status, derived)) {
+            return order.status;
+        }
+
+        const updated = await this.updateStatus(order._id, derived, 'Updated from shipments', {
+            expectedStatus: order.status,
+            session
+        });
+        if (!updated) {
+            throw new OrderError(409, 'Order status was changed by another request, please retry');
+        }
+        return derived;
+    }
+
+    // Moves an order from expectedStatus to status. Matches nothing if the
+    // status changed in the meantime, so concurrent transitions cannot both apply.
+    // match adds further conditions the order must still meet. Returns the
+    // order as the transition left it, or null if it did not match.
+    static async updateStatus(id, status, notes = '', { expectedStatus, match = {}, session } = {}) {
+        const collection = await getOrderCollection();
+        const filter = { ...match, _id: new ObjectId(id) };
+        if (expectedStatus) filter.status = expectedStatus;
+
+        const updated = await collection.findOneAndUpdate(
+            filter,
             { 
                 $set: { 
                     status, 
@@ -110,19 +885,181 @@ class Order {
                         timestamp: new Date()
                     }
                 }
+            },
+            { returnDocument: 'after', session }
+        );
+        if (!updated) return null;
+
+        // Confirmation is the point an order becomes billable and bought gift cards are issued
+        if (status === 'confirmed') {
+            await this.assignInvoiceNumber(id, { session });
+            await this.issueGiftCards(id, { session });
+        }
+        return new Order(updated);
+    }
+
+    // Gives an order the next invoice number from an atomic counter. Orders
+    // that already have one keep it, so an invoice number is never reissued.
+    static async assignInvoiceNumber(id, { session } = {}) {
+        const collection = await getOrderCollection();
+        const existing = await collection.findOne(
+            { _id: new ObjectId(id) },
+            { projection: { invoiceNumber: 1 }, session }
+        );
+        if (!existing || existing.invoiceNumber) return existing ? existing.invoiceNumber : null;
+
+        const counters = await getCounterCollection();
+        const counter = await counters.findOneAndUpdate(
+            { _id: 'invoiceNumber' },
+            { $inc: { seq: 1 } },
+            { upsert: true, returnDocument: 'after', session }
+        );
+        const invoiceNumber = `INV-${String(counter.seq).padStart(6, '0')}`;
+
+        await collection.updateOne(
+            { _id: new ObjectId(id), invoiceNumber: null },
+            { $set: { invoiceNumber, invoicedAt: new Date() } },
+            { session }
+        );
+        return invoiceNumber;
+    }
+
+    // Counts a new thread message as unread for the side that did not post it.
+    // Internal notes are never shown to the customer, so they change nothing.
+    static async recordMessage(id, { fromStaff, internal = false, at = new Date() }) {
+        if (internal) return null;
+        const collection = await getOrderCollection();
+        return collection.updateOne(
+            { _id: new ObjectId(id) },
+            {
+                $inc: { [fromStaff ? 'messaging.unreadByCustomer' : 'messaging.unreadByStaff']: 1 },
+                $set: { 'messaging.lastMessageAt': at }
             }
         );
-        return result;
     }
 
-    static async generateOrderNumber() {
+    // Sets the unread count of one side ('customer' or 'staff') of the thread
+    // to what countUnread() resolves to, e.g. the messages newer than the ones
+    // just shown. Only applies while no other message was recorded since the
+    // count, re-counting otherwise.
+    static async markMessagesRead(id, side, countUnread) {
+        const collection = await getOrderCollection();
+        const field = side === 'staff' ? 'messaging.unreadByStaff' : 'messaging.unreadByCustomer';
+
+        for (let attempt = 0; attempt < MARK_READ_ATTEMPTS; attempt++) {
+            const order = await collection.findOne(
+                { _id: new ObjectId(id) },
+                { projection: { 'messaging.lastMessageAt': 1 } }
+            );
+            if (!order) return null;
+
+            const lastMessageAt = (order.messaging && order.messaging.lastMessageAt) || null;
+            const unread = await countUnread();
+            const result = await collection.updateOne(
+                { _id: order._id, 'messaging.lastMessageAt': lastMessageAt },
+                { $set: { [field]: unread } }
+            );
+            if (result.matchedCount === 1) return result;
+        }
+        return null;
+    }
+
+    // Issues the gift cards bought with an order, exactly once
+    static async issueGiftCards(id, { session } = {}) {
+        const collection = await getOrderCollection();
+        const order = await collection.findOneAndUpdate(
+            { _id: new ObjectId(id), 'items.giftCardValue': { $gt: 0 }, giftCardsIssued: { $ne: true } },
+            { $set: { giftCardsIssued: true } },
+            { returnDocument: 'after', session }
+        );
+        if (!order) return [];
+
+        const cards = await GiftCard.issueForOrder(order, { session });
+        await collection.updateOne(
+            { _id: order._id },
+            { $set: { giftCards: cards.map(card => ({ giftCardId: card._id, code: card.code, amount: card.initialBalance })) } },
+            { session }
+        );
+        return cards;
+    }
+
+    // Undoes what an order holds on to when it is cancelled: reserved stock,
+    // coupon uses, store credit spent on it and gift cards bought with it
+    static async releaseReservations(order, { session } = {}) {
+        await this.restoreStock(order, { session });
+        await Coupon.releaseForOrder(order._id, { session });
+        await this.restoreStoreCredit(order, { session });
+        await GiftCard.deactivateForOrder(order._id, { session });
+    }
+
+    // Gives back the store credit spent on an order, minus what was already
+    // refunded as credit. The storeCreditRestored flag makes this run once.
+    static async restoreStoreCredit(order, { session } = {}) {
+        const collection = await getOrderCollection();
+        const flagged = await collection.findOneAndUpdate(
+            { _id: new ObjectId(order._id), storeCreditApplied: { $gt: 0 }, storeCreditRestored: { $ne: true } },
+            { $set: { storeCreditRestored: true, storeCreditRestoredAt: new Date() } },
+            { returnDocument: 'after', session }
+        );
+        if (!flagged) return 0;
+
+        const amount = roundMoney(flagged.storeCreditApplied - (flagged.storeCreditRefunded || 0));
+        if (amount > 0) {
+            await StoreCredit.credit(flagged.userId, amount, {
+                source: 'order_cancelled',
+                orderId: flagged._id,
+                notes: `Order ${flagged.orderNumber} cancelled`,
+                session
+            });
+        }
+        return amount;
+    }
+
+    // Returns reserved quantities to stock. The stockRestored flag makes this
+    // a no-op for an order whose stock has already been returned.
+    static async restoreStock(order, { session } = {}) {
         const collection = await getOrderCollection();
-        const count = await collection.countDocuments();
+        const bookCollection = await getBookCollection();
+
+        const flagged = await collection.updateOne(
+            { _id: new ObjectId(order._id), stockRestored: { $ne: true } },
+            { $set: { stockRestored: true, stockRestoredAt: new Date() } },
+            { session }
+        );
+        if (flagged.modifiedCount === 0) return false;
+
+        for (const item of order.items || []) {
+            await bookCollection.updateOne(
+                { _id: new ObjectId(item.bookId) },
+                { $inc: { stock: item.quantity } },
+                { session }
+            );
+        }
+        return true;
+    }
+
+    static canTransition(from, to) {
+        return (STATUS_TRANSITIONS[from] || []).includes(to);
+    }
+
+    // Draws the next number from an atomic counter, so concurrent orders never
+    // share a number and deleting an order never frees one up for reuse.
+    static async generateOrderNumber({ session } = {}) {
+        const counters = await getCounterCollection();
         const date = new Date();
         const year = date.getFullYear();
         const month = String(date.getMonth() + 1).padStart(2, '0');
         const day = String(date.getDate()).padStart(2, '0');
-        return `ORD-${year}${month}${day}-${String(count + 1).padStart(4, '0')}`;
+        const counterId = ORDER_NUMBER_SCOPE === 'global'
+            ? 'orderNumber'
+            : `orderNumber-${year}${month}${day}`;
+
+        const counter = await counters.findOneAndUpdate(
+            { _id: counterId },
+            { $inc: { seq: 1 } },
+            { upsert: true, returnDocument: 'after', session }
+        );
+        return `ORD-${year}${month}${day}-${String(counter.seq).padStart(4, '0')}`;
     }
 
     static async getOrderStats(userId = null) {
@@ -135,79 +1072,1016 @@ class Order {
                 $group: {
                     _id: null,
                     totalOrders: { $sum: 1 },
-                    totalRevenue: { $sum: '$totalAmount' },
+                    // Amounts are converted to the base currency at each order's
+                    // rate, and only sales count towards revenue
+                    grossRevenue: {
+                        $sum: { $cond: [IS_SALE, { $divide: ['$totalAmount', { $ifNull: ['$exchangeRate', 1] }] }, 0] }
+                    },
+                    totalRefunded: {
+                        $sum: { $cond: [IS_SALE, { $divide: [{ $ifNull: ['$refundedAmount', 0] }, { $ifNull: ['$exchangeRate', 1] }] }, 0] }
+                    },
                     pendingOrders: {
                         $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] }
                     },
+                    // Delivered is the last status of an order that went through
                     completedOrders: {
-                        $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
+                        $sum: { $cond: [{ $eq: ['$status', 'delivered'] }, 1, 0] }
                     },
                     cancelledOrders: {
                         $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] }
                     }
                 }
-            }
-        ]).toArray();
+            },
+            // Revenue is reported net of refunds
+            {
+                $addFields: {
+                    totalRevenue: { $subtract: ['$grossRevenue', '$totalRefunded'] }
+                }
+            }
+        ]).toArray();
+
+        return stats[0] || {
+            totalOrders: 0,
+            grossRevenue: 0,
+            totalRefunded: 0,
+            totalRevenue: 0,
+            pendingOrders: 0,
+            completedOrders: 0,
+            cancelledOrders: 0
+        };
+    }
+}
+
+// Controller functions
+const orderController = {
+    // GET /api/orders - Get all orders (admin) or user's orders, with search filters
+    getAllOrders: async (req, res) => {
+        try {
+            const { page = 1, limit = 10, sort = 'date_desc' } = req.query;
+            const { user } = req;
+
+            const { filter, error } = await buildOrderFilter(req.query, user);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error
+                });
+            }
+
+            if (!ORDER_SORTS[sort]) {
+                return res.status(400).json({
+                    success: false,
+                    error: `sort must be one of: ${Object.keys(ORDER_SORTS).join(', ')}`
+                });
+            }
+
+            const options = {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                sort: ORDER_SORTS[sort]
+            };
+
+            const result = await Order.findAll(filter, options);
+
+            res.json({
+                success: true,
+                data: result.orders,
+                pagination: result.pagination
+            });
+
+        } catch (error) {
+            console.error('Get orders error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch orders'
+            });
+        }
+    },
+
+    // GET /api/orders/export - Stream matching orders as CSV or NDJSON (admin only)
+    exportOrders: async (req, res) => {
+        const { format = 'csv', rows = 'order', columns: requestedColumns, timezone = 'UTC', sort = 'date_desc' } = req.query;
+        let cursor = null;
+
+        try {
+            if (!['csv', 'ndjson'].includes(format)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Format must be csv or ndjson'
+                });
+            }
+
+            if (!['order', 'item'].includes(rows)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'rows must be order or item'
+                });
+            }
+
+            if (!isValidTimezone(timezone)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid timezone'
+                });
+            }
+
+            if (!ORDER_SORTS[sort]) {
+                return res.status(400).json({
+                    success: false,
+                    error: `sort must be one of: ${Object.keys(ORDER_SORTS).join(', ')}`
+                });
+            }
+
+            const { columns, error: columnError } = resolveColumns(rows, requestedColumns);
+            if (columnError) {
+                return res.status(400).json({
+                    success: false,
+                    error: columnError
+                });
+            }
+
+            const { filter, error } = await buildOrderFilter(req.query, req.user);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error
+                });
+            }
+
+            cursor = await Order.findCursor(filter, { sort: ORDER_SORTS[sort] });
+            res.on('close', () => cursor.close().catch(() => {}));
+
+            const filename = `orders-${new Date().toISOString().slice(0, 10)}.${format}`;
+            res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+            const write = async chunk => {
+                if (!res.write(chunk)) await once(res, 'drain');
+            };
+
+            if (format === 'csv') await write(csvLine(columns));
+
+            // Customers are looked up once per export, however many orders they have
+            const users = await getUserCollection();
+            const customers = new Map();
+            const needsCustomer = columns.includes('customerName') || columns.includes('customerEmail');
+            const context = { timezone };
+
+            for await (const order of cursor) {
+                if (res.destroyed) break;
+
+                let customer = null;
+                if (needsCustomer && order.userId) {
+                    const key = order.userId.toString();
+                    if (!customers.has(key)) {
+                        customers.set(key, await users.findOne(
+                            { _id: new ObjectId(order.userId) },
+                            { projection: { name: 1, email: 1 } }
+                        ));
+                    }
+                    customer = customers.get(key);
+                }
+
+                for (const row of toRows(rows, columns, order, customer, context)) {
+                    await write(format === 'csv'
+                        ? csvLine(columns.map(column => row[column]))
+                        : `${JSON.stringify(row)}\n`);
+                }
+            }
+
+            res.end();
+
+        } catch (error) {
+            console.error('Export orders error:', error);
+            if (cursor) await cursor.close().catch(() => {});
+            // Once streaming has started the status can no longer change
+            if (res.headersSent) return res.destroy(error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to export orders'
+            });
+        }
+    },
+
+    // GET /api/orders/:id - Get single order
+    getOrderById: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { user } = req;
+
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid order ID'
+                });
+            }
+
+            const order = await Order.findById(id);
+            if (!order) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Order not found'
+                });
+            }
+
+            // Check if user can access this order
+            if (user.role !== 'admin' && order.userId.toString() !== user.userId) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Access denied'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: order
+            });
+
+        } catch (error) {
+            console.error('Get order error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch order'
+            });
+        }
+    },
+
+    // GET /api/orders/:id/invoice - Get an order's invoice as PDF (default) or HTML
+    getOrderInvoice: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { user } = req;
+            const format = (req.query.format || 'pdf').toLowerCase();
+
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid order ID'
+                });
+            }
+
+            if (!['pdf', 'html'].includes(format)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Format must be pdf or html'
+                });
+            }
+
+            const order = await Order.findById(id);
+            if (!order) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Order not found'
+                });
+            }
+
+            // Check if user can access this order
+            if (user.role !== 'admin' && order.userId.toString() !== user.userId) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Access denied'
+                });
+            }
+
+            if (!order.invoiceNumber) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'An invoice is issued once the order is confirmed'
+                });
+            }
+
+            const userCollection = await getUserCollection();
+            const customer = await userCollection.findOne(
+                { _id: new ObjectId(order.userId) },
+                { projection: { name: 1, email: 1 } }
+            );
+            const invoice = buildInvoice(order, customer || {});
+            const filename = `${order.invoiceNumber}.${format}`;
+
+            if (format === 'html') {
+                res.set('Content-Disposition', `inline; filename="${filename}"`);
+                return res.type('html').send(renderInvoiceHtml(invoice));
+            }
+
+            res.set('Content-Type', 'application/pdf');
+            res.set('Content-Disposition', `inline; filename="${filename}"`);
+            renderInvoicePdf(invoice, res);
+
+        } catch (error) {
+            console.error('Get order invoice error:', error);
+            if (res.headersSent) return res.end();
+            res.status(500).json({
+                success: false,
+                error: 'Failed to render invoice'
+            });
+        }
+    },
+
+    // GET /api/orders/number/:orderNumber - Get single order by its order number
+    getOrderByNumber: async (req, res) => {
+        try {
+            const { orderNumber } = req.params;
+            const { user } = req;
+
+            const order = await Order.findByOrderNumber(orderNumber.trim().toUpperCase());
+            if (!order) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Order not found'
+                });
+            }
+
+            // Check if user can access this order
+            if (user.role !== 'admin' && order.userId.toString() !== user.userId) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Access denied'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: order
+            });
+
+        } catch (error) {
+            console.error('Get order by number error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch order'
+            });
+        }
+    },
+
+    // POST /api/orders - Create new order
+    createOrder: async (req, res) => {
+        try {
+            const { items, shippingAddress, shippingMethodId, paymentMethod, notes, couponCode, storeCredit, giftCardCode, currency: currencyCode } = req.body;
+            const { user } = req;
+            const payingWithCredit = Boolean(storeCredit || giftCardCode);
+
+            // Validate items and merge duplicate books into a single line
+            const { quantities: requestedQuantities, error: itemError } = parseOrderItems(items);
+            if (itemError) {
+                return res.status(400).json({
+                    success: false,
+                    error: itemError
+                });
+            }
+
+            if (!shippingAddress || !shippingAddress.address || !shippingAddress.city) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Shipping address with address and city is required'
+                });
+            }
+
+            if (!paymentMethod && !payingWithCredit) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Payment method is required'
+                });
+            }
+
+            // storeCredit is true to use as much credit as needed, or an amount
+            if (storeCredit !== undefined && typeof storeCredit !== 'boolean' && !(Number(storeCredit) > 0)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'storeCredit must be true or an amount greater than 0'
+                });
+            }
+
+            if (shippingMethodId && !ObjectId.isValid(shippingMethodId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid shipping method ID'
+                });
+            }
+
+            const bookCollection = await getBookCollection();
+            const userCollection = await getUserCollection();
+
+            // Reserve stock, insert the order and clear the cart as one unit
+            const order = await withTransaction(async (session) => {
+                const lines = [];
+                const shortItems = [];
+
+                // The order keeps the rate it was priced at, whatever happens to the rate later
+                const { currency, error: currencyError } = await ExchangeRate.resolve(currencyCode, { session });
+                if (currencyError) {
+                    throw new OrderError(400, currencyError);
+                }
+
+                // Store credit is held in the base currency
+                if (payingWithCredit && currency.code !== BASE_CURRENCY) {
+                    throw new OrderError(400, `Store credit and gift cards can only be used for orders in ${BASE_CURRENCY}`);
+                }
+
+                const coupon = couponCode ? await Coupon.findByCode(couponCode, { session }) : null;
+                if (couponCode && !coupon) {
+                    throw new OrderError(400, 'Invalid coupon code');
+                }
+
+                const { shippingMethod, error: shippingError, shippingMethods } =
+                    await ShippingMethod.resolveForAddress(shippingAddress, shippingMethodId, { session });
+                if (shippingError) {
+                    throw new OrderError(400, shippingError, shippingMethods ? { shippingMethods } : {});
+                }
+
+                for (const [bookId, quantity] of requestedQuantities) {
+                    const book = await bookCollection.findOne({ _id: new ObjectId(bookId) }, { session });
+                    if (!book) {
+                        throw new OrderError(404, `Book with ID ${bookId} not found`);
+                    }
+
+                    // Conditional decrement: only matches while enough stock remains
+                    const reserved = await bookCollection.updateOne(
+                        { _id: book._id, stock: { $gte: quantity } },
+                        { $inc: { stock: -quantity } },
+                        { session }
+                    );
+
+                    if (reserved.modifiedCount === 0) {
+                        shortItems.push({
+                            bookId: book._id,
+                            title: book.title,
+                            available: book.stock || 0,
+                            requested: quantity
+                        });
+                        continue;
+                    }
+
+                    lines.push({ book, quantity });
+                }
+
+                if (shortItems.length > 0) {
+                    throw new OrderError(409, 'Insufficient stock for one or more items', { items: shortItems });
+                }
+
+                // Tax is computed with today's rules and stored, so later rate changes leave the order alone
+                const taxRules = await TaxRule.findActive({ session });
+
+                let pricing;
+                try {
+                    pricing = calculatePricing(lines, { coupon, shippingMethod, taxRules, shippingAddress, currency });
+                } catch (error) {
+                    if (error instanceof PricingError) throw new OrderError(400, error.message);
+                    throw error;
+                }
+
+                // Store credit pays first; a gift card given here is redeemed into it
+                if (giftCardCode) {
+                    const redeemed = await GiftCard.redeem(giftCardCode, user.userId, { session });
+                    if (redeemed.error) throw new OrderError(400, redeemed.error);
+                }
+
+                let storeCreditApplied = 0;
+                if (payingWithCredit) {
+                    const balance = await StoreCredit.getBalance(user.userId, { session });
+                    const requested = typeof storeCredit === 'boolean' || storeCredit === undefined
+                        ? balance
+                        : roundMoney(storeCredit);
+                    if (requested > balance) {
+                        throw new OrderError(400, `Store credit balance is only ${balance}`);
+                    }
+                    storeCreditApplied = roundMoney(Math.min(requested, pricing.totalAmount));
+                }
+
+                const amountDue = roundMoney(pricing.totalAmount - storeCreditApplied);
+                const paidWithCredit = storeCreditApplied > 0 && amountDue === 0;
+                if (!paymentMethod && !paidWithCredit) {
+                    throw new OrderError(400, 'Payment method is required for the amount not covered by store credit');
+                }
+
+                const orderData = {
+                    userId: new ObjectId(user.userId),
+                    ...pricing,
+                    storeCreditApplied,
+                    amountDue,
+                    couponCode: coupon ? coupon.code : null,
+                    shippingAddress,
+                    paymentMethod: paymentMethod || 'store_credit',
+                    notes: notes || '',
+                    status: 'pending',
+                    paymentStatus: paidWithCredit ? 'paid' : 'unpaid',
+                    statusHistory: [{
+                        status: 'pending',
+                        notes: 'Order created',
+                        timestamp: new Date()
+                    }]
+                };
+
+                const createdOrder = await Order.create(orderData, { session });
+
+                if (coupon) {
+                    const couponError = await Coupon.redeem(coupon, user.userId, createdOrder._id, { session });
+                    if (couponError) throw new OrderError(409, couponError);
+                }
+
+                if (storeCreditApplied > 0) {
+                    const debited = await StoreCredit.debit(user.userId, storeCreditApplied, {
+                        source: 'order',
+                        orderId: createdOrder._id,
+                        notes: `Order ${createdOrder.orderNumber}`,
+                        session
+                    });
+                    if (!debited) throw new OrderError(409, 'Store credit balance changed, please try again');
+                }
+
+                // Clear user's cart
+                await userCollection.updateOne(
+                    { _id: new ObjectId(user.userId) },
+                    { $set: { cart: [] } },
+                    { session }
+                );
+
+                // Nothing left to pay, so the order is confirmed straight away
+                if (paidWithCredit) {
+                    await Order.updateStatus(createdOrder._id, 'confirmed', 'Paid with store credit', {
+                        expectedStatus: 'pending',
+                        session
+                    });
+                    return Order.findByIdInSession(createdOrder._id, session);
+                }
+
+                return createdOrder;
+            });
+
+            // The order stands even if the provider is unreachable; the client
+            // can open the intent again through POST /api/payments/orders/:id/intent
+            let payment = null;
+            if (order.amountDue > 0) {
+                try {
+                    payment = await Order.openPaymentIntent(order);
+                } catch (error) {
+                    console.error('Create payment intent error:', error);
+                }
+            }
+
+            res.status(201).json({
+                success: true,
+                message: 'Order created successfully',
+                data: order,
+                payment
+            });
+
+        } catch (error) {
+            if (error instanceof OrderError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message,
+                    ...error.details
+                });
+            }
+            console.error('Create order error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create order'
+            });
+        }
+    },
+
+    // PUT /api/orders/:id/status - Update order status
+    updateOrderStatus: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { status, notes } = req.body;
+            const { user } = req;
+
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid order ID'
+                });
+            }
+
+            const validStatuses = Object.keys(STATUS_TRANSITIONS);
+            if (!validStatuses.includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid status. Valid statuses: ' + validStatuses.join(', ')
+                });
+            }
+
+            // Check if order exists
+            const order = await Order.findById(id);
+            if (!order) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Order not found'
+                });
+            }
+
+            // Only admin or order owner can update status
+            if (user.role !== 'admin' && order.userId.toString() !== user.userId) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Access denied'
+                });
+            }
+
+            // Users can only cancel their own orders while they are pending
+            if (user.role !== 'admin' && (status !== 'cancelled' || order.status !== 'pending')) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'You can only cancel pending orders'
+                });
+            }
+
+            if (!Order.canTransition(order.status, status)) {
+                const allowed = STATUS_TRANSITIONS[order.status] || [];
+                return res.status(400).json({
+                    success: false,
+                    error: `Cannot change order status from '${order.status}' to '${status}'. ` +
+                        (allowed.length > 0
+                            ? `Allowed next statuses: ${allowed.join(', ')}`
+                            : `'${order.status}' is a final status`)
+                });
+            }
+
+            const updatedOrder = await withTransaction(async (session) => {
+                const updated = await Order.updateStatus(id, status, notes || '', {
+                    expectedStatus: order.status,
+                    session
+                });
+                if (!updated) {
+                    throw new OrderError(409, 'Order status was changed by another request, please retry');
+                }
+
+                // Released from the order as it is now, not the copy read before
+                // the transaction, which an edit may have changed since
+                if (status === 'cancelled') {
+                    await Order.releaseReservations(updated, { session });
+                }
+                return Order.findByIdInSession(id, session);
+            });
+
+            res.json({
+                success: true,
+                message: 'Order status updated successfully',
+                data: updatedOrder
+            });
+
+        } catch (error) {
+            if (error instanceof OrderError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message,
+                    ...error.details
+                });
+            }
+            console.error('Update order status error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update order status'
+            });
+        }
+    },
+
+    // PUT /api/orders/:id - Update order details (admin only). Only
+    // EDITABLE_ORDER_FIELDS can change; items replace the order's line items,
+    // which re-prices the order and moves stock by the difference.
+    updateOrder: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { reason = '', ...updateData } = req.body;
+            const { user } = req;
+
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid order ID'
+                });
+            }
+
+            // Only admin can update order details
+            if (user.role !== 'admin') {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Only administrators can update order details'
+                });
+            }
+
+            const fields = Object.keys(updateData);
+            const readOnlyFields = fields.filter(field => !EDITABLE_ORDER_FIELDS.includes(field));
+            if (readOnlyFields.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: `These fields cannot be edited: ${readOnlyFields.join(', ')}`,
+                    editableFields: EDITABLE_ORDER_FIELDS
+                });
+            }
+
+            if (fields.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'No changes given',
+                    editableFields: EDITABLE_ORDER_FIELDS
+                });
+            }
+
+            let requestedQuantities = null;
+            if (updateData.items !== undefined) {
+                const { quantities, error } = parseOrderItems(updateData.items);
+                if (error) {
+                    return res.status(400).json({
+                        success: false,
+                        error
+                    });
+                }
+                requestedQuantities = quantities;
+            }
+
+            const { shippingAddress } = updateData;
+            if (shippingAddress !== undefined && (!shippingAddress || !shippingAddress.address || !shippingAddress.city)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Shipping address with address and city is required'
+                });
+            }
+
+            if (updateData.paymentMethod !== undefined && !updateData.paymentMethod) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Payment method is required'
+                });
+            }
+
+            const bookCollection = await getBookCollection();
+
+            const { order, edit, paymentCancelled } = await withTransaction(async (session) => {
+                const order = await Order.findByIdInSession(id, session);
+                if (!order) {
+                    throw new OrderError(404, 'Order not found');
+                }
+
+                const paymentSettled = !UNSETTLED_PAYMENT_STATUSES.includes(order.paymentStatus);
+                const changes = {};
+                const fieldChanges = {};
+
+                if (updateData.notes !== undefined && String(updateData.notes) !== (order.notes || '')) {
+                    changes.notes = String(updateData.notes);
+                    fieldChanges.notes = { from: order.notes || '', to: changes.notes };
+                }
+
+                if (updateData.paymentMethod !== undefined && updateData.paymentMethod !== order.paymentMethod) {
+                    if (paymentSettled) {
+                        throw new OrderError(409, 'Payment method cannot change once the order has been paid');
+                    }
+                    changes.paymentMethod = updateData.paymentMethod;
+                    fieldChanges.paymentMethod = { from: order.paymentMethod, to: changes.paymentMethod };
+                }
+
+                const addressChanged = shippingAddress !== undefined &&
+                    JSON.stringify(shippingAddress) !== JSON.stringify(order.shippingAddress);
+                if (addressChanged) {
+                    if (order.shipments.length > 0 || ['shipped', 'delivered', 'cancelled'].includes(order.status)) {
+                        throw new OrderError(409, 'Shipping address cannot change once the order has shipped or been cancelled');
+                    }
+                    changes.shippingAddress = shippingAddress;
+                    fieldChanges.shippingAddress = { from: order.shippingAddress, to: shippingAddress };
+                }
+
+                // Work out the quantity change per book
+                const currentQuantities = new Map(order.items.map(item => [item.bookId.toString(), item.quantity]));
+                const targetQuantities = requestedQuantities || currentQuantities;
+                const itemChanges = [];
+                for (const bookId of new Set([...currentQuantities.keys(), ...targetQuantities.keys()])) {
+                    const from = currentQuantities.get(bookId) || 0;
+                    const to = targetQuantities.get(bookId) || 0;
+                    if (from !== to) itemChanges.push({ bookId: new ObjectId(bookId), from, to });
+                }
+
+                if (itemChanges.length > 0 &&
+                    (!ITEM_EDITABLE_STATUSES.includes(order.status) || order.shipments.length > 0 || paymentSettled)) {
+                    throw new OrderError(409, `Items can only change while the order is unpaid, unshipped and ${ITEM_EDITABLE_STATUSES.join(' or ')}`);
+                }
+
+                // A paid order keeps the amounts it was charged
+                if (itemChanges.length > 0 || (addressChanged && !paymentSettled)) {
+                    const currency = { code: order.currency, rate: order.exchangeRate };
+                    const previousItems = new Map(order.items.map(item => [item.bookId.toString(), item]));
+                    const lines = [];
+                    const shortItems = [];
+
+                    for (const [bookId, quantity] of targetQuantities) {
+                        const book = await bookCollection.findOne({ _id: new ObjectId(bookId) }, { session });
+                        const previous = previousItems.get(bookId);
+                        const difference = quantity - (currentQuantities.get(bookId) || 0);
+
+                        if (!book && (!previous || difference > 0)) {
+                            throw new OrderError(404, `Book with ID ${bookId} not found`);
+                        }
+
+                        // Only the added quantity is reserved; it may not exceed the stock
+                        if (difference > 0) {
+                            const reserved = await bookCollection.updateOne(
+                                { _id: book._id, stock: { $gte: difference } },
+                                { $inc: { stock: -difference } },
+                                { session }
+                            );
+                            if (reserved.modifiedCount === 0) {
+                                shortItems.push({
+                                    bookId: book._id,
+                                    title: book.title,
+                                    available: book.stock || 0,
+                                    requested: difference
+                                });
+                                continue;
+                            }
+                        } else if (difference < 0) {
+                            await bookCollection.updateOne(
+                                { _id: new ObjectId(bookId) },
+                                { $inc: { stock: -difference } },
+                                { session }
+                            );
+                        }
+
+                        // Lines already on the order keep the price they were sold at,
+                        // which is in the order's currency
+                        lines.push({
+                            book: previous
+                                ? {
+                                    ...book,
+                                    _id: previous.bookId,
+                                    title: previous.title,
+                                    author: previous.author,
+                                    prices: { ...(book && book.prices), [currency.code]: previous.price }
+                                }
+                                : book,
+                            quantity
+                        });
+                    }
+
+                    if (shortItems.length > 0) {
+                        throw new OrderError(409, 'Insufficient stock for one or more items', { items: shortItems });
+                    }
+
+                    // Books taken off the order go back to stock
+                    for (const [bookId, quantity] of currentQuantities) {
+                        if (targetQuantities.has(bookId)) continue;
+                        await bookCollection.updateOne(
+                            { _id: new ObjectId(bookId) },
+                            { $inc: { stock: quantity } },
+                            { session }
+                        );
+                    }
+
+                    const address = changes.shippingAddress || order.shippingAddress;
+
+                    // The coupon was valid when the order was placed, so only its
+                    // scope and minimum spend are checked against the new items
+                    let coupon = null;
+                    if (order.couponCode) {
+                        coupon = await Coupon.findByCode(order.couponCode, { session });
+                        if (!coupon) {
+                            throw new OrderError(409, `Coupon ${order.couponCode} no longer exists, so the order cannot be re-priced`);
+                        }
+                        coupon = { ...coupon, isActive: true };
+                    }
+
+                    let shippingMethod = null;
+                    if (order.shippingMethod) {
+                        const methods = await ShippingMethod.findForAddress(address, { session });
+                        shippingMethod = methods.find(method => method._id.toString() === order.shippingMethod.methodId.toString());
+                        if (!shippingMethod) {
+                            throw new OrderError(400, `Shipping method "${order.shippingMethod.name}" is not available for this address`);
+                        }
+                    }
+
+                    const taxRules = await TaxRule.findActive({ session });
+
+                    let pricing;
+                    try {
+                        pricing = calculatePricing(lines, {
+                            coupon,
+                            shippingMethod,
+                            taxRules,
+                            shippingAddress: address,
+                            currency,
+                            now: order.createdAt
+                        });
+                    } catch (error) {
+                        if (error instanceof PricingError) throw new OrderError(400, error.message);
+                        throw error;
+                    }
+
+                    Object.assign(changes, pricing);
+
+                    // Store credit spent on the order stays applied up to the new
+                    // total; anything above it goes back to the customer
+                    const storeCreditApplied = roundMoney(Math.min(order.storeCreditApplied, pricing.totalAmount));
+                    const excessCredit = roundMoney(order.storeCreditApplied - storeCreditApplied);
+                    if (excessCredit > 0) {
+                        await StoreCredit.credit(order.userId, excessCredit, {
+                            source: 'order_edit',
+                            orderId: order._id,
+                            notes: `Order ${order.orderNumber} edited`,
+                            session
+                        });
+                    }
+                    changes.storeCreditApplied = storeCreditApplied;
+                    changes.amountDue = roundMoney(pricing.totalAmount - storeCreditApplied);
+                    if (storeCreditApplied > 0 && changes.amountDue === 0) {
+                        changes.paymentStatus = 'paid';
+                    }
+                }
 
-        return stats[0] || {
-            totalOrders: 0,
-            totalRevenue: 0,
-            pendingOrders: 0,
-            completedOrders: 0,
-            cancelledOrders: 0
-        };
-    }
-}
+                if (Object.keys(changes).length === 0) {
+                    return { order, edit: null };
+                }
 
-// Controller functions
-const orderController = {
-    // GET /api/orders - Get all orders (admin) or user's orders
-    getAllOrders: async (req, res) => {
-        try {
-            const { page = 1, limit = 10, status, userId } = req.query;
-            const { user } = req;
-            
-            let filter = {};
-            
-            // If not admin, only show user's own orders
-            if (user.role !== 'admin' && !userId) {
-                filter.userId = new ObjectId(user.userId);
-            } else if (userId) {
-                filter.userId = new ObjectId(userId);
-            }
-            
-            // Filter by status
-            if (status) {
-                filter.status = status;
-            }
+                const edit = {
+                    editedBy: new ObjectId(user.userId),
+                    editedAt: new Date(),
+                    reason: String(reason),
+                    fields: fieldChanges,
+                    items: itemChanges.map(change => {
+                        const line = [...(changes.items || []), ...order.items]
+                            .find(item => item.bookId.toString() === change.bookId.toString());
+                        return { ...change, title: line ? line.title : '' };
+                    }),
+                    totalAmount: {
+                        from: order.totalAmount,
+                        to: changes.totalAmount !== undefined ? changes.totalAmount : order.totalAmount
+                    }
+                };
 
-            const options = {
-                page: parseInt(page),
-                limit: parseInt(limit),
-                sort: { createdAt: -1 }
-            };
+                const result = await Order.applyEdit(order, changes, edit, { session });
+                if (result.matchedCount === 0) {
+                    throw new OrderError(409, 'Order was changed by someone else, please reload it and try again');
+                }
 
-            const result = await Order.findAll(filter, options);
+                // The intent for the old amount must not stay payable. If the
+                // provider cannot cancel it, it may be paid right now, so the
+                // edit is rolled back.
+                const paymentCancelled = changes.amountDue !== undefined && changes.amountDue !== order.amountDue &&
+                    Boolean(order.payment) && !order.payment.cancelledAt;
+                if (paymentCancelled) {
+                    try {
+                        await Order.cancelPaymentIntent(order, { session });
+                    } catch (error) {
+                        console.error('Cancel payment intent error:', error);
+                        throw new OrderError(409, 'The payment for the current total could not be cancelled, it may be in progress; try again later');
+                    }
+                }
+
+                if (changes.paymentStatus === 'paid' && order.status === 'pending') {
+                    await Order.updateStatus(id, 'confirmed', 'Paid with store credit', {
+                        expectedStatus: 'pending',
+                        session
+                    });
+                }
+
+                return { order: await Order.findByIdInSession(id, session), edit, paymentCancelled };
+            });
+
+            // The cancelled intent is replaced by one for the new amount
+            let payment = null;
+            if (paymentCancelled && order.amountDue > 0 && UNSETTLED_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+                try {
+                    payment = await Order.openPaymentIntent(order);
+                } catch (error) {
+                    console.error('Create payment intent error:', error);
+                    return res.status(502).json({
+                        success: false,
+                        error: 'Order updated, but a payment for the new total could not be opened; ' +
+                            'open it again through POST /api/payments/orders/:id/intent',
+                        data: order,
+                        edit
+                    });
+                }
+            }
 
             res.json({
                 success: true,
-                data: result.orders,
-                pagination: result.pagination
+                message: edit ? 'Order updated successfully' : 'Order already up to date',
+                data: order,
+                edit,
+                ...(payment && { payment })
             });
 
         } catch (error) {
-            console.error('Get orders error:', error);
+            if (error instanceof OrderError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message,
+                    ...error.details
+                });
+            }
+            console.error('Update order error:', error);
             res.status(500).json({
                 success: false,
-                error: 'Failed to fetch orders'
+                error: 'Failed to update order'
             });
         }
     },
 
-    // GET /api/orders/:id - Get single order
-    getOrderById: async (req, res) => {
+    // POST /api/orders/:id/shipments - Ship some or all remaining items of an order
+    createShipment: async (req, res) => {
         try {
             const { id } = req.params;
+            const { items, carrier, trackingNumber, shippedAt } = req.body;
             const { user } = req;
 
             if (!ObjectId.isValid(id)) {
@@ -217,226 +2091,197 @@ const orderController = {
                 });
             }
 
-            const order = await Order.findById(id);
-            if (!order) {
-                return res.status(404).json({
-                    success: false,
-                    error: 'Order not found'
-                });
-            }
-
-            // Check if user can access this order
-            if (user.role !== 'admin' && order.userId.toString() !== user.userId) {
-                return res.status(403).json({
-                    success: false,
-                    error: 'Access denied'
-                });
-            }
-
-            res.json({
-                success: true,
-                data: order
-            });
-
-        } catch (error) {
-            console.error('Get order error:', error);
-            res.status(500).json({
-                success: false,
-                error: 'Failed to fetch order'
-            });
-        }
-    },
-
-    // POST /api/orders - Create new order
-    createOrder: async (req, res) => {
-        try {
-            const { items, shippingAddress, paymentMethod, notes } = req.body;
-            const { user } = req;
-
-            // Validation
             if (!items || !Array.isArray(items) || items.length === 0) {
                 return res.status(400).json({
                     success: false,
-                    error: 'Order items are required'
+                    error: 'Shipment items are required'
                 });
             }
 
-            if (!shippingAddress || !shippingAddress.address || !shippingAddress.city) {
+            if (!carrier || !trackingNumber) {
                 return res.status(400).json({
                     success: false,
-                    error: 'Shipping address with address and city is required'
+                    error: 'Carrier and tracking number are required'
                 });
             }
 
-            if (!paymentMethod) {
+            const shippedDate = shippedAt ? new Date(shippedAt) : new Date();
+            if (isNaN(shippedDate.getTime())) {
                 return res.status(400).json({
                     success: false,
-                    error: 'Payment method is required'
+                    error: 'shippedAt must be a valid date'
                 });
             }
 
-            // Validate and calculate order total
-            let totalAmount = 0;
-            const bookCollection = await getBookCollection();
-            const validatedItems = [];
+            const collection = await getOrderCollection();
 
-            for (const item of items) {
-                if (!item.bookId || !item.quantity || item.quantity <= 0) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Each item must have a valid bookId and quantity'
-                    });
+            const shipment = await withTransaction(async (session) => {
+                const order = await Order.findByIdInSession(id, session);
+                if (!order) {
+                    throw new OrderError(404, 'Order not found');
                 }
 
-                // Fetch book details
-                const book = await bookCollection.findOne({ _id: new ObjectId(item.bookId) });
-                if (!book) {
-                    return res.status(404).json({
-                        success: false,
-                        error: `Book with ID ${item.bookId} not found`
-                    });
+                if (!SHIPPABLE_STATUSES.includes(order.status)) {
+                    throw new OrderError(400, `Cannot ship an order that is ${order.status}`);
                 }
 
-                // Check stock availability
-                if (book.stock < item.quantity) {
-                    return res.status(400).json({
-                        success: false,
-                        error: `Insufficient stock for "${book.title}". Available: ${book.stock}, Requested: ${item.quantity}`
-                    });
-                }
+                // Each book can be shipped up to the quantity ordered, across all shipments
+                const shipped = shippedQuantities(order);
+                const shipmentItems = [];
+                for (const item of items) {
+                    const quantity = Number(item.quantity);
+                    const orderItem = item.bookId && order.items.find(
+                        orderLine => orderLine.bookId.toString() === item.bookId.toString()
+                    );
+
+                    if (!orderItem || !Number.isInteger(quantity) || quantity <= 0) {
+                        throw new OrderError(400, 'Each item must be a book from this order with a valid quantity');
+                    }
 
-                const itemTotal = book.price * item.quantity;
-                totalAmount += itemTotal;
+                    const bookId = orderItem.bookId.toString();
+                    const remaining = orderItem.quantity - (shipped.get(bookId) || 0);
+                    if (quantity > remaining) {
+                        throw new OrderError(400, `Only ${remaining} of "${orderItem.title}" remain to be shipped`);
+                    }
+                    shipped.set(bookId, (shipped.get(bookId) || 0) + quantity);
 
-                validatedItems.push({
-                    bookId: book._id,
-                    title: book.title,
-                    author: book.author,
-                    price: book.price,
-                    quantity: item.quantity,
-                    subtotal: itemTotal
-                });
-            }
+                    shipmentItems.push({
+                        bookId: orderItem.bookId,
+                        title: orderItem.title,
+                        quantity
+                    });
+                }
 
-            // Create order
-            const orderData = {
-                userId: new ObjectId(user.userId),
-                items: validatedItems,
-                totalAmount,
-                shippingAddress,
-                paymentMethod,
-                notes: notes || '',
-                status: 'pending',
-                statusHistory: [{
-                    status: 'pending',
-                    notes: 'Order created',
-                    timestamp: new Date()
-                }]
-            };
+                const newShipment = {
+                    _id: new ObjectId(),
+                    items: shipmentItems,
+                    carrier: String(carrier).trim(),
+                    trackingNumber: String(trackingNumber).trim(),
+                    shippedAt: shippedDate,
+                    deliveredAt: null,
+                    createdBy: new ObjectId(user.userId),
+                    createdAt: new Date()
+                };
+
+                await collection.updateOne(
+                    { _id: order._id },
+                    { $push: { shipments: newShipment }, $set: { updatedAt: new Date() } },
+                    { session }
+                );
 
-            const order = await Order.create(orderData);
+                order.shipments.push(newShipment);
+                await Order.syncFulfilmentStatus(order, { session });
 
-            // Update book stock
-            for (const item of validatedItems) {
-                await bookCollection.updateOne(
-                    { _id: new ObjectId(item.bookId) },
-                    { $inc: { stock: -item.quantity } }
-                );
-            }
+                return newShipment;
+            });
 
-            // Clear user's cart
-            const userCollection = await getUserCollection();
-            await userCollection.updateOne(
-                { _id: new ObjectId(user.userId) },
-                { $set: { cart: [] } }
-            );
+            const updatedOrder = await Order.findById(id);
 
             res.status(201).json({
                 success: true,
-                message: 'Order created successfully',
-                data: order
+                message: 'Shipment created successfully',
+                data: {
+                    shipment,
+                    order: updatedOrder
+                }
             });
 
         } catch (error) {
-            console.error('Create order error:', error);
+            if (error instanceof OrderError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message,
+                    ...error.details
+                });
+            }
+            console.error('Create shipment error:', error);
             res.status(500).json({
                 success: false,
-                error: 'Failed to create order'
+                error: 'Failed to create shipment'
             });
         }
     },
 
-    // PUT /api/orders/:id/status - Update order status
-    updateOrderStatus: async (req, res) => {
+    // PUT /api/orders/:id/shipments/:shipmentId - Update carrier, tracking or delivery of a shipment
+    updateShipment: async (req, res) => {
         try {
-            const { id } = req.params;
-            const { status, notes } = req.body;
-            const { user } = req;
+            const { id, shipmentId } = req.params;
+            const { carrier, trackingNumber, deliveredAt } = req.body;
 
-            if (!ObjectId.isValid(id)) {
+            if (!ObjectId.isValid(id) || !ObjectId.isValid(shipmentId)) {
                 return res.status(400).json({
                     success: false,
-                    error: 'Invalid order ID'
+                    error: 'Invalid order or shipment ID'
                 });
             }
 
-            const validStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
-            if (!validStatuses.includes(status)) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Invalid status. Valid statuses: ' + validStatuses.join(', ')
-                });
+            const update = {};
+            if (carrier !== undefined) update['shipments.$.carrier'] = String(carrier).trim();
+            if (trackingNumber !== undefined) update['shipments.$.trackingNumber'] = String(trackingNumber).trim();
+            if (deliveredAt !== undefined) {
+                // true marks the shipment delivered now; a date records when it was
+                const deliveredDate = deliveredAt === true ? new Date() : new Date(deliveredAt);
+                if (isNaN(deliveredDate.getTime())) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'deliveredAt must be true or a valid date'
+                    });
+                }
+                update['shipments.$.deliveredAt'] = deliveredDate;
             }
 
-            // Check if order exists
-            const order = await Order.findById(id);
-            if (!order) {
-                return res.status(404).json({
+            if (Object.keys(update).length === 0) {
+                return res.status(400).json({
                     success: false,
-                    error: 'Order not found'
+                    error: 'Nothing to update. Provide carrier, trackingNumber or deliveredAt'
                 });
             }
 
-            // Only admin or order owner can update status
-            if (user.role !== 'admin' && order.userId.toString() !== user.userId) {
-                return res.status(403).json({
-                    success: false,
-                    error: 'Access denied'
-                });
-            }
+            const collection = await getOrderCollection();
 
-            // Users can only cancel their own orders if status is pending
-            if (user.role !== 'admin' && status !== 'cancelled' && order.status !== 'pending') {
-                return res.status(403).json({
-                    success: false,
-                    error: 'You can only cancel pending orders'
-                });
-            }
+            await withTransaction(async (session) => {
+                const result = await collection.updateOne(
+                    { _id: new ObjectId(id), 'shipments._id': new ObjectId(shipmentId) },
+                    { $set: { ...update, updatedAt: new Date() } },
+                    { session }
+                );
+                if (result.matchedCount === 0) {
+                    throw new OrderError(404, 'Shipment not found');
+                }
 
-            await Order.updateStatus(id, status, notes || '');
+                const order = await Order.findByIdInSession(id, session);
+                await Order.syncFulfilmentStatus(order, { session });
+            });
 
             const updatedOrder = await Order.findById(id);
 
             res.json({
                 success: true,
-                message: 'Order status updated successfully',
+                message: 'Shipment updated successfully',
                 data: updatedOrder
             });
 
         } catch (error) {
-            console.error('Update order status error:', error);
+            if (error instanceof OrderError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message,
+                    ...error.details
+                });
+            }
+            console.error('Update shipment error:', error);
             res.status(500).json({
                 success: false,
-                error: 'Failed to update order status'
+                error: 'Failed to update shipment'
             });
         }
     },
 
-    // PUT /api/orders/:id - Update order details
-    updateOrder: async (req, res) => {
+    // POST /api/orders/:id/refunds - Refund part or all of a paid order
+    refundOrder: async (req, res) => {
         try {
             const { id } = req.params;
-            const updateData = req.body;
+            const { reason } = req.body;
             const { user } = req;
 
             if (!ObjectId.isValid(id)) {
@@ -446,7 +2291,6 @@ const orderController = {
                 });
             }
 
-            // Check if order exists
             const order = await Order.findById(id);
             if (!order) {
                 return res.status(404).json({
@@ -455,42 +2299,39 @@ const orderController = {
                 });
             }
 
-            // Only admin can update order details
-            if (user.role !== 'admin') {
-                return res.status(403).json({
-                    success: false,
-                    error: 'Only administrators can update order details'
-                });
-            }
-
-            // Don't allow updating certain fields
-            delete updateData.userId;
-            delete updateData.orderNumber;
-            delete updateData.createdAt;
-            delete updateData._id;
+            // Without an amount the whole remaining balance is refunded
+            const amount = req.body.amount !== undefined
+                ? Number(req.body.amount)
+                : await Order.refundableAmount(order._id);
 
-            const result = await Order.updateById(id, updateData);
-
-            if (result.matchedCount === 0) {
-                return res.status(404).json({
+            const result = await Order.refund(order, {
+                amount,
+                reason: reason || '',
+                refundedBy: user.userId
+            });
+            if (result.error) {
+                return res.status(400).json({
                     success: false,
-                    error: 'Order not found'
+                    error: result.error
                 });
             }
 
             const updatedOrder = await Order.findById(id);
 
-            res.json({
+            res.status(201).json({
                 success: true,
-                message: 'Order updated successfully',
-                data: updatedOrder
+                message: 'Refund issued successfully',
+                data: {
+                    refund: result.refund,
+                    order: updatedOrder
+                }
             });
 
         } catch (error) {
-            console.error('Update order error:', error);
+            console.error('Refund order error:', error);
             res.status(500).json({
                 success: false,
-                error: 'Failed to update order'
+                error: 'Failed to refund order'
             });
         }
     },
@@ -529,7 +2370,7 @@ const orderController = {
     // POST /api/orders/from-cart - Create order from user's cart
     createOrderFromCart: async (req, res) => {
         try {
-            const { shippingAddress, paymentMethod, notes } = req.body;
+            const { shippingAddress, shippingMethodId, paymentMethod, notes, couponCode, storeCredit, giftCardCode, currency } = req.body;
             const { user } = req;
 
             // Get user's cart
@@ -543,14 +2384,9 @@ const orderController = {
                 });
             }
 
-            // Convert cart items to order items format
-            const items = userData.cart.map(cartItem => ({
-                bookId: cartItem.bookId || cartItem._id, // Handle different cart formats
-                quantity: cartItem.quantity
-            }));
-
-            // Create order using existing createOrder logic
-            req.body = { items, shippingAddress, paymentMethod, notes };
+            // Cart items carry bookId and quantity, so they are valid order items as-is;
+            // createOrder re-prices them from the catalog
+            req.body = { items: userData.cart, shippingAddress, shippingMethodId, paymentMethod, notes, couponCode, storeCredit, giftCardCode, currency };
             return orderController.createOrder(req, res);
 
         } catch (error) {
@@ -562,6 +2398,116 @@ const orderController = {
         }
     },
 
+    // POST /api/orders/:id/reorder - Add the items of a previous order to the cart
+    reorderOrder: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { user } = req;
+
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid order ID'
+                });
+            }
+
+            const order = await Order.findById(id);
+            if (!order) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Order not found'
+                });
+            }
+
+            // Only the customer who placed the order can reorder it
+            if (order.userId.toString() !== user.userId) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Access denied'
+                });
+            }
+
+            const userCollection = await getUserCollection();
+            const userData = await userCollection.findOne({ _id: new ObjectId(user.userId) });
+            if (!userData) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'User not found'
+                });
+            }
+
+            const bookCollection = await getBookCollection();
+            const books = await bookCollection
+                .find({ _id: { $in: order.items.map(item => new ObjectId(item.bookId)) } })
+                .toArray();
+            const booksById = new Map(books.map(book => [book._id.toString(), book]));
+
+            // Order lines are priced in the order's currency, so price changes are
+            // checked against the catalog price in that currency, at the order's
+            // rate so that exchange rate moves alone do not count as a change
+            const orderCurrency = { code: order.currency || BASE_CURRENCY, rate: order.exchangeRate || 1 };
+            const added = [];
+            const skipped = [];
+
+            for (const item of order.items) {
+                const book = booksById.get(item.bookId.toString());
+                if (!book) {
+                    skipped.push({ bookId: item.bookId, title: item.title, quantity: item.quantity, reason: 'unavailable' });
+                    continue;
+                }
+
+                const quantity = await addToUserCart(userCollection, userData._id, book, item.quantity);
+                if (quantity === null) {
+                    skipped.push({ bookId: book._id, title: book.title, quantity: item.quantity, reason: 'cart_changed' });
+                    continue;
+                }
+                if (quantity === 0) {
+                    skipped.push({ bookId: book._id, title: book.title, quantity: item.quantity, reason: 'out_of_stock' });
+                    continue;
+                }
+
+                const currentPrice = localizePrice(book, orderCurrency);
+                added.push({
+                    bookId: book._id,
+                    title: book.title,
+                    requested: item.quantity,
+                    quantity,
+                    price: book.price,
+                    currency: orderCurrency.code,
+                    currentPrice,
+                    previousPrice: item.price,
+                    priceChanged: currentPrice !== item.price,
+                    limitedByStock: quantity < item.quantity
+                });
+            }
+
+            const { cart = [] } = await userCollection.findOne(
+                { _id: userData._id },
+                { projection: { cart: 1 } }
+            ) || {};
+
+            res.json({
+                success: true,
+                message: added.length > 0
+                    ? `${added.length} of ${order.items.length} items added to cart`
+                    : 'No items could be added to cart',
+                data: {
+                    orderNumber: order.orderNumber,
+                    added,
+                    skipped
+                },
+                cart
+            });
+
+        } catch (error) {
+            console.error('Reorder error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to reorder'
+            });
+        }
+    },
+
     // GET /api/orders/user/:userId - Get orders for specific user (admin only)
     getUserOrders: async (req, res) => {
         try {
@@ -608,4 +2554,9 @@ const orderController = {
     }
 };
 
-module.exports = orderController;
\ No newline at end of file
+module.exports = orderController;
+module.exports.Order = Order;
+module.exports.ORDER_STATUSES = Object.keys(STATUS_TRANSITIONS);
+module.exports.UNSETTLED_PAYMENT_STATUSES = UNSETTLED_PAYMENT_STATUSES;
+module.exports.SALE_FILTER = SALE_FILTER;
+module.exports.paidValue = paidValue;
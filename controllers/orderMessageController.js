@@ -0,0 +1,195 @@
+const { ObjectId } = require('mongodb');
+const { getCollection } = require('../config/db');
+const { Order } = require('./orderController');
+
+const MAX_MESSAGE_LENGTH = 5000;
+
+// Helper function to get order message collection
+let messageIndexes = null;
+
+async function getMessageCollection() {
+    const collection = getCollection('order_messages');
+    if (!messageIndexes) {
+        messageIndexes = collection.createIndex({ orderId: 1, createdAt: 1 })
+            .catch(error => console.error('Failed to create order message indexes:', error));
+    }
+    await messageIndexes;
+    return collection;
+}
+
+class OrderMessage {
+    constructor({ orderId, authorId, authorRole, body, internal, createdAt, _id }) {
+        this.orderId = orderId;
+        this.authorId = authorId;
+        this.authorRole = authorRole;
+        this.body = body;
+        this.internal = internal === true;
+        this.createdAt = createdAt;
+        if (_id) this._id = _id;
+    }
+
+    static async create(messageData) {
+        const collection = await getMessageCollection();
+        const message = {
+            ...messageData,
+            orderId: new ObjectId(messageData.orderId),
+            authorId: new ObjectId(messageData.authorId),
+            createdAt: new Date()
+        };
+        const result = await collection.insertOne(message);
+        return new OrderMessage({ ...message, _id: result.insertedId });
+    }
+
+    // Messages of an order, oldest first. Customers never see internal notes.
+    static async findByOrderId(orderId, { includeInternal = false } = {}) {
+        const collection = await getMessageCollection();
+        const filter = { orderId: new ObjectId(orderId) };
+        if (!includeInternal) filter.internal = false;
+
+        const messages = await collection.find(filter).sort({ createdAt: 1 }).toArray();
+        return messages.map(message => new OrderMessage(message));
+    }
+
+    // Messages other than internal notes posted by one side of an order's
+    // thread after the given time
+    static async countSince(orderId, authorRole, since) {
+        const collection = await getMessageCollection();
+        return collection.countDocuments({
+            orderId: new ObjectId(orderId),
+            authorRole,
+            internal: false,
+            ...(since && { createdAt: { $gt: since } })
+        });
+    }
+}
+
+// Loads the order for a message request and checks the user may use its thread
+async function findOrderForThread(req, res) {
+    const { id } = req.params;
+    const { user } = req;
+
+    if (!ObjectId.isValid(id)) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid order ID'
+        });
+        return null;
+    }
+
+    const order = await Order.findById(id);
+    if (!order) {
+        res.status(404).json({
+            success: false,
+            error: 'Order not found'
+        });
+        return null;
+    }
+
+    // Check if user can access this order
+    if (user.role !== 'admin' && order.userId.toString() !== user.userId) {
+        res.status(403).json({
+            success: false,
+            error: 'Access denied'
+        });
+        return null;
+    }
+
+    return order;
+}
+
+// Controller functions
+const orderMessageController = {
+    // GET /api/orders/:id/messages - Get an order's message thread and mark it read
+    getMessages: async (req, res) => {
+        try {
+            const order = await findOrderForThread(req, res);
+            if (!order) return;
+
+            const isStaff = req.user.role === 'admin';
+
+            const messages = await OrderMessage.findByOrderId(order._id, { includeInternal: isStaff });
+
+            // Only the messages returned are read: anything the other side
+            // posted after the newest of them stays unread
+            const newest = messages.length > 0 ? messages[messages.length - 1].createdAt : null;
+            await Order.markMessagesRead(order._id, isStaff ? 'staff' : 'customer',
+                () => OrderMessage.countSince(order._id, isStaff ? 'customer' : 'staff', newest));
+
+            res.json({
+                success: true,
+                data: messages
+            });
+
+        } catch (error) {
+            console.error('Get order messages error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch messages'
+            });
+        }
+    },
+
+    // POST /api/orders/:id/messages - Post a message, or an internal note (staff only)
+    createMessage: async (req, res) => {
+        try {
+            const { body } = req.body;
+            // Form posts send the flag as a string; anything but true/"true" is a customer-visible message
+            const internal = req.body.internal === true || req.body.internal === 'true';
+            const isStaff = req.user.role === 'admin';
+
+            if (!body || !String(body).trim()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Message body is required'
+                });
+            }
+
+            if (String(body).length > MAX_MESSAGE_LENGTH) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Message cannot be longer than ${MAX_MESSAGE_LENGTH} characters`
+                });
+            }
+
+            if (internal && !isStaff) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Only staff can post internal notes'
+                });
+            }
+
+            const order = await findOrderForThread(req, res);
+            if (!order) return;
+
+            const message = await OrderMessage.create({
+                orderId: order._id,
+                authorId: req.user.userId,
+                authorRole: isStaff ? 'staff' : 'customer',
+                body: String(body).trim(),
+                internal
+            });
+
+            await Order.recordMessage(order._id, {
+                fromStaff: isStaff,
+                internal: message.internal,
+                at: message.createdAt
+            });
+
+            res.status(201).json({
+                success: true,
+                message: message.internal ? 'Internal note added' : 'Message sent',
+                data: message
+            });
+
+        } catch (error) {
+            console.error('Create order message error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to send message'
+            });
+        }
+    }
+};
+
+module.exports = orderMessageController;
+module.exports.OrderMessage = OrderMessage;
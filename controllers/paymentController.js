@@ -0,0 +1,265 @@
+const { ObjectId } = require('mongodb');
+const { getCollection, withTransaction } = require('../config/db');
+const { getProvider, PAYMENT_TRANSITIONS } = require('../services/payments');
+const { Order } = require('./orderController');
+
+// Payment status an order gets for each webhook event type
+const EVENT_PAYMENT_STATUS = {
+    'payment.authorized': 'authorized',
+    'payment.succeeded': 'paid',
+    'payment.failed': 'failed',
+    'payment.refunded': 'refunded'
+};
+
+// Helper function to get the processed webhook event collection
+async function getPaymentEventCollection() {
+    return getCollection('payment_events');
+}
+
+// Applies a payment status event to its order, if the order's payment may
+// move to that status. Money arriving for a cancelled order is flagged for
+// review and refunded once the transaction has committed.
+async function applyPaymentStatus(order, event, paymentStatus, { session }) {
+    if (!(PAYMENT_TRANSITIONS[order.paymentStatus] || []).includes(paymentStatus)) {
+        return { ignored: true, reason: `Payment is already ${order.paymentStatus}` };
+    }
+
+    const latePayment = paymentStatus === 'paid' && order.status === 'cancelled';
+    const updated = await Order.updatePayment(order._id, {
+        paymentStatus,
+        'payment.lastEvent': event.type,
+        'payment.updatedAt': new Date(),
+        ...(latePayment && {
+            paymentReview: {
+                reason: 'Payment received after the order was cancelled',
+                amount: order.amountDue,
+                flaggedAt: new Date(),
+                resolved: false
+            }
+        })
+    }, { match: { paymentStatus: order.paymentStatus }, session });
+    if (updated.matchedCount === 0) {
+        return { ignored: true, reason: 'Payment status changed while the event was processed' };
+    }
+
+    // A successful payment confirms an order that is still waiting for it
+    if (paymentStatus === 'paid' && order.status === 'pending') {
+        await Order.updateStatus(order._id, 'confirmed', 'Payment received', {
+            expectedStatus: 'pending',
+            session
+        });
+    }
+
+    return { ignored: false, paymentStatus, latePayment };
+}
+
+// Sends back a payment that arrived after its order was cancelled. If the
+// provider refund fails the order stays flagged for staff to resolve.
+async function refundLatePayment(orderId) {
+    const order = await Order.findById(orderId);
+    try {
+        const { refund, error } = await Order.refund(order, {
+            amount: order.amountDue,
+            reason: 'Payment received after the order was cancelled'
+        });
+        if (error) throw new Error(error);
+
+        await Order.updatePayment(order._id, {
+            'paymentReview.resolved': true,
+            'paymentReview.resolvedAt': new Date(),
+            'paymentReview.refundId': refund._id
+        });
+    } catch (error) {
+        console.error(`Failed to refund late payment for order ${order.orderNumber}:`, error);
+    }
+}
+
+// Applies a verified provider event to its order. Each event is recorded in
+// the same transaction, so redelivered events are acknowledged but ignored.
+async function processPaymentEvent(providerName, event) {
+    const paymentStatus = EVENT_PAYMENT_STATUS[event.type];
+    if (!paymentStatus) {
+        return { ignored: true, reason: `Unhandled event type: ${event.type}` };
+    }
+
+    const events = await getPaymentEventCollection();
+
+    const result = await withTransaction(async (session) => {
+        const eventId = `${providerName}:${event.id}`;
+        const processed = await events.findOne({ _id: eventId }, { session });
+        if (processed) {
+            return { ignored: true, reason: 'Event already processed' };
+        }
+
+        const order = await Order.findByPaymentIntent(providerName, event.data && event.data.intentId, { session });
+        if (!order) {
+            return { ignored: true, reason: 'No order for this payment intent' };
+        }
+
+        // Refunds go into the order's refund ledger; the order only becomes
+        // 'refunded' once the whole amount has been refunded
+        let outcome;
+        if (event.type === 'payment.refunded') {
+            const refund = order.paymentStatus === 'paid'
+                ? await Order.recordProviderRefund(order, {
+                    amount: Number(event.data.amount) || 0,
+                    providerRefundId: event.data.refundId || null
+                }, { session })
+                : null;
+            outcome = refund
+                ? { ignored: false, refundId: refund._id }
+                : { ignored: true, reason: 'Refund is already recorded or nothing is left to refund' };
+        } else {
+            outcome = await applyPaymentStatus(order, event, paymentStatus, { session });
+        }
+
+        // Recorded even when ignored, so a redelivery is not looked at again
+        await events.insertOne({
+            _id: eventId,
+            provider: providerName,
+            type: event.type,
+            orderId: order._id,
+            receivedAt: new Date()
+        }, { session });
+
+        return { ...outcome, orderId: order._id };
+    });
+
+    if (result.latePayment) {
+        await refundLatePayment(result.orderId);
+    }
+    const { latePayment, ...response } = result;
+    return response;
+}
+
+// Controller functions
+const paymentController = {
+    // POST /api/payments/webhook/:provider - Receive a signed provider event
+    handleWebhook: async (req, res) => {
+        try {
+            const { provider: providerName } = req.params;
+
+            let provider;
+            try {
+                provider = getProvider(providerName);
+            } catch (error) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Unknown payment provider'
+                });
+            }
+
+            let event;
+            try {
+                event = provider.verifyWebhook(req.rawBody || Buffer.from(''), req.headers);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid webhook signature'
+                });
+            }
+
+            const result = await processPaymentEvent(provider.name, event);
+
+            res.json({
+                success: true,
+                received: true,
+                ...result
+            });
+
+        } catch (error) {
+            console.error('Payment webhook error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to process payment webhook'
+            });
+        }
+    },
+
+    // POST /api/payments/orders/:orderId/intent - Open a new payment intent for an order
+    createPaymentIntent: async (req, res) => {
+        try {
+            const { orderId } = req.params;
+            const { user } = req;
+
+            if (!ObjectId.isValid(orderId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid order ID'
+                });
+            }
+
+            const order = await Order.findById(orderId);
+            if (!order) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Order not found'
+                });
+            }
+
+            if (order.userId.toString() !== user.userId) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Access denied'
+                });
+            }
+
+            if (order.status === 'cancelled' || !['unpaid', 'failed'].includes(order.paymentStatus)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Cannot pay for an order that is ${order.status === 'cancelled' ? 'cancelled' : order.paymentStatus}`
+                });
+            }
+
+            const payment = await Order.openPaymentIntent(order);
+
+            res.status(201).json({
+                success: true,
+                message: 'Payment intent created successfully',
+                data: payment
+            });
+
+        } catch (error) {
+            console.error('Create payment intent error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create payment intent'
+            });
+        }
+    },
+
+    // POST /api/payments/mock/:intentId/complete - Simulate the mock provider settling an intent
+    completeMockPayment: async (req, res) => {
+        try {
+            const { intentId } = req.params;
+            const { outcome = 'succeeded' } = req.body;
+            const eventType = `payment.${outcome}`;
+
+            if (!EVENT_PAYMENT_STATUS[eventType]) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid outcome. Valid outcomes: ' +
+                        Object.keys(EVENT_PAYMENT_STATUS).map(type => type.replace('payment.', '')).join(', ')
+                });
+            }
+
+            const provider = getProvider('mock');
+            const event = provider.createEvent(eventType, { intentId });
+            const result = await processPaymentEvent(provider.name, event);
+
+            res.json({
+                success: true,
+                data: { event, ...result }
+            });
+
+        } catch (error) {
+            console.error('Complete mock payment error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to complete mock payment'
+            });
+        }
+    }
+};
+
+module.exports = paymentController;
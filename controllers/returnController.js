@@ -0,0 +1,557 @@
+const { ObjectId } = require('mongodb');
+const { getCollection, withTransaction } = require('../config/db');
+const { Order, paidValue } = require('./orderController');
+
+// Allowed return status changes; rejected and refunded are final
+const RETURN_TRANSITIONS = {
+    requested: ['approved', 'rejected'],
+    approved: ['received'],
+    received: ['refunded'],
+    rejected: [],
+    refunded: []
+};
+
+// Helper functions to get collections
+async function getReturnCollection() {
+    return getCollection('returns');
+}
+
+async function getBookCollection() {
+    return getCollection('books');
+}
+
+async function getOrderCollection() {
+    return getCollection('orders');
+}
+
+class ReturnRequest {
+    constructor({ orderId, orderNumber, userId, items, reason, status, statusHistory, refundAmount, refundId, createdAt, updatedAt, _id }) {
+        this.orderId = orderId;
+        this.orderNumber = orderNumber;
+        this.userId = userId;
+        this.items = items || [];
+        this.reason = reason;
+        this.status = status || 'requested';
+        this.statusHistory = statusHistory || [];
+        this.refundAmount = refundAmount || 0;
+        this.refundId = refundId || null;
+        this.createdAt = createdAt;
+        this.updatedAt = updatedAt;
+        if (_id) this._id = _id;
+    }
+
+    static async create(returnData, { session } = {}) {
+        const collection = await getReturnCollection();
+        const returnRequest = {
+            ...returnData,
+            status: 'requested',
+            statusHistory: [{
+                status: 'requested',
+                notes: returnData.reason,
+                timestamp: new Date()
+            }],
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+        const result = await collection.insertOne(returnRequest, { session });
+        return new ReturnRequest({ ...returnRequest, _id: result.insertedId });
+    }
+
+    static async findAll(filter = {}, options = {}) {
+        const collection = await getReturnCollection();
+        const { page = 1, limit = 10, sort = { createdAt: -1 } } = options;
+        const skip = (page - 1) * limit;
+
+        const returns = await collection
+            .find(filter)
+            .sort(sort)
+            .skip(skip)
+            .limit(limit)
+            .toArray();
+
+        const total = await collection.countDocuments(filter);
+
+        return {
+            returns: returns.map(returnRequest => new ReturnRequest(returnRequest)),
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    static async findById(id) {
+        const collection = await getReturnCollection();
+        const returnRequest = await collection.findOne({ _id: new ObjectId(id) });
+        return returnRequest ? new ReturnRequest(returnRequest) : null;
+    }
+
+    // Quantities per book already covered by open or completed returns of an order
+    static async returnedQuantities(orderId, { session } = {}) {
+        const collection = await getReturnCollection();
+        const returns = await collection
+            .find({ orderId: new ObjectId(orderId), status: { $ne: 'rejected' } }, { session })
+            .toArray();
+
+        const quantities = new Map();
+        for (const returnRequest of returns) {
+            for (const item of returnRequest.items) {
+                const bookId = item.bookId.toString();
+                quantities.set(bookId, (quantities.get(bookId) || 0) + item.quantity);
+            }
+        }
+        return quantities;
+    }
+
+    // Moves a return from expectedStatus to status; matches nothing if it changed meanwhile
+    static async updateStatus(id, expectedStatus, status, { notes = '', updatedBy = null, set = {}, session } = {}) {
+        const collection = await getReturnCollection();
+        const result = await collection.updateOne(
+            { _id: new ObjectId(id), status: expectedStatus },
+            {
+                $set: { ...set, status, updatedAt: new Date() },
+                $push: {
+                    statusHistory: {
+                        status,
+                        notes,
+                        updatedBy: updatedBy ? new ObjectId(updatedBy) : null,
+                        timestamp: new Date()
+                    }
+                }
+            },
+            { session }
+        );
+        return result;
+    }
+}
+
+// Validates the id param and loads the return, answering the request itself on failure
+async function loadReturn(req, res) {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid return ID'
+        });
+        return null;
+    }
+
+    const returnRequest = await ReturnRequest.findById(id);
+    if (!returnRequest) {
+        res.status(404).json({
+            success: false,
+            error: 'Return not found'
+        });
+        return null;
+    }
+
+    return returnRequest;
+}
+
+function transitionError(returnRequest, status) {
+    if ((RETURN_TRANSITIONS[returnRequest.status] || []).includes(status)) return null;
+    return `Cannot change return status from '${returnRequest.status}' to '${status}'`;
+}
+
+// Approve and reject only differ in the target status
+function decideReturn(status) {
+    return async (req, res) => {
+        try {
+            const { notes } = req.body;
+            const returnRequest = await loadReturn(req, res);
+            if (!returnRequest) return;
+
+            const error = transitionError(returnRequest, status);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error
+                });
+            }
+
+            const result = await ReturnRequest.updateStatus(returnRequest._id, returnRequest.status, status, {
+                notes: notes || '',
+                updatedBy: req.user.userId
+            });
+            if (result.matchedCount === 0) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Return was changed by another request, please retry'
+                });
+            }
+
+            const updatedReturn = await ReturnRequest.findById(returnRequest._id);
+
+            res.json({
+                success: true,
+                message: `Return ${status} successfully`,
+                data: updatedReturn
+            });
+
+        } catch (error) {
+            console.error(`Return ${status} error:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update return'
+            });
+        }
+    };
+}
+
+// Controller functions
+const returnController = {
+    // GET /api/returns - Get all returns (admin) or user's returns
+    getAllReturns: async (req, res) => {
+        try {
+            const { page = 1, limit = 10, status, orderId } = req.query;
+            const { user } = req;
+
+            const filter = {};
+
+            // If not admin, only show user's own returns
+            if (user.role !== 'admin') {
+                filter.userId = new ObjectId(user.userId);
+            }
+
+            if (status) {
+                filter.status = status;
+            }
+
+            if (orderId && ObjectId.isValid(orderId)) {
+                filter.orderId = new ObjectId(orderId);
+            }
+
+            const options = {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                sort: { createdAt: -1 }
+            };
+
+            const result = await ReturnRequest.findAll(filter, options);
+
+            res.json({
+                success: true,
+                data: result.returns,
+                pagination: result.pagination
+            });
+
+        } catch (error) {
+            console.error('Get returns error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch returns'
+            });
+        }
+    },
+
+    // GET /api/returns/:id - Get single return
+    getReturnById: async (req, res) => {
+        try {
+            const returnRequest = await loadReturn(req, res);
+            if (!returnRequest) return;
+
+            // Check if user can access this return
+            if (req.user.role !== 'admin' && returnRequest.userId.toString() !== req.user.userId) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Access denied'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: returnRequest
+            });
+
+        } catch (error) {
+            console.error('Get return error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch return'
+            });
+        }
+    },
+
+    // POST /api/returns - Open a return request on items of a delivered order
+    createReturn: async (req, res) => {
+        try {
+            const { orderId, items, reason } = req.body;
+            const { user } = req;
+
+            if (!orderId || !ObjectId.isValid(orderId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Valid orderId is required'
+                });
+            }
+
+            if (!items || !Array.isArray(items) || items.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Return items are required'
+                });
+            }
+
+            if (!reason || !String(reason).trim()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'A reason for the return is required'
+                });
+            }
+
+            const order = await Order.findById(orderId);
+            if (!order) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Order not found'
+                });
+            }
+
+            if (order.userId.toString() !== user.userId) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Access denied'
+                });
+            }
+
+            if (order.status !== 'delivered') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Only delivered orders can be returned'
+                });
+            }
+
+            // Each book can be returned up to the quantity ordered, minus earlier
+            // returns. Every request writes to the order in its transaction, so
+            // concurrent requests conflict and the retried one sees the other's return.
+            const orderCollection = await getOrderCollection();
+            const { returnRequest, error } = await withTransaction(async (session) => {
+                const alreadyReturned = await ReturnRequest.returnedQuantities(orderId, { session });
+                const returnItems = [];
+                for (const item of items) {
+                    const quantity = Number(item.quantity);
+                    const orderItem = item.bookId && order.items.find(
+                        orderLine => orderLine.bookId.toString() === item.bookId.toString()
+                    );
+
+                    if (!orderItem || !Number.isInteger(quantity) || quantity <= 0) {
+                        return { error: 'Each item must be a book from this order with a valid quantity' };
+                    }
+
+                    const bookId = orderItem.bookId.toString();
+                    const returnable = orderItem.quantity - (alreadyReturned.get(bookId) || 0);
+                    if (quantity > returnable) {
+                        return { error: `Only ${returnable} of "${orderItem.title}" can still be returned` };
+                    }
+                    alreadyReturned.set(bookId, (alreadyReturned.get(bookId) || 0) + quantity);
+
+                    returnItems.push({
+                        bookId: orderItem.bookId,
+                        title: orderItem.title,
+                        price: orderItem.price,
+                        quantity
+                    });
+                }
+
+                await orderCollection.updateOne(
+                    { _id: order._id },
+                    { $set: { lastReturnRequestedAt: new Date() } },
+                    { session }
+                );
+
+                return {
+                    returnRequest: await ReturnRequest.create({
+                        orderId: order._id,
+                        orderNumber: order.orderNumber,
+                        userId: order.userId,
+                        items: returnItems,
+                        reason: String(reason).trim()
+                    }, { session })
+                };
+            });
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error
+                });
+            }
+
+            res.status(201).json({
+                success: true,
+                message: 'Return requested successfully',
+                data: returnRequest
+            });
+
+        } catch (error) {
+            console.error('Create return error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create return'
+            });
+        }
+    },
+
+    // PUT /api/returns/:id/approve - Approve a return request
+    approveReturn: decideReturn('approved'),
+
+    // PUT /api/returns/:id/reject - Reject a return request
+    rejectReturn: decideReturn('rejected'),
+
+    // PUT /api/returns/:id/receive - Mark returned items received and restock them
+    receiveReturn: async (req, res) => {
+        try {
+            const { notes } = req.body;
+            const returnRequest = await loadReturn(req, res);
+            if (!returnRequest) return;
+
+            const error = transitionError(returnRequest, 'received');
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error
+                });
+            }
+
+            const bookCollection = await getBookCollection();
+            const received = await withTransaction(async (session) => {
+                const result = await ReturnRequest.updateStatus(returnRequest._id, 'approved', 'received', {
+                    notes: notes || 'Items received and restocked',
+                    updatedBy: req.user.userId,
+                    session
+                });
+                if (result.matchedCount === 0) return false;
+
+                for (const item of returnRequest.items) {
+                    await bookCollection.updateOne(
+                        { _id: new ObjectId(item.bookId) },
+                        { $inc: { stock: item.quantity } },
+                        { session }
+                    );
+                }
+                return true;
+            });
+
+            if (!received) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Return was changed by another request, please retry'
+                });
+            }
+
+            const updatedReturn = await ReturnRequest.findById(returnRequest._id);
+
+            res.json({
+                success: true,
+                message: 'Return received and items restocked',
+                data: updatedReturn
+            });
+
+        } catch (error) {
+            console.error('Receive return error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to receive return'
+            });
+        }
+    },
+
+    // POST /api/returns/:id/refund - Refund a received return against its order
+    refundReturn: async (req, res) => {
+        try {
+            const returnRequest = await loadReturn(req, res);
+            if (!returnRequest) return;
+
+            const error = transitionError(returnRequest, 'refunded');
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error
+                });
+            }
+
+            const order = await Order.findById(returnRequest.orderId);
+            if (!order) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Order not found'
+                });
+            }
+
+            // Defaults to what was paid for the returned items after discount and
+            // with tax; admins may refund less or more
+            const amount = req.body.amount !== undefined ? Number(req.body.amount) : paidValue(order, returnRequest.items);
+
+            // Claim the return first so two refund requests cannot both pay out
+            const claimed = await ReturnRequest.updateStatus(returnRequest._id, 'received', 'refunded', {
+                notes: `Refund of ${amount}`,
+                updatedBy: req.user.userId,
+                set: { refundAmount: amount }
+            });
+            if (claimed.matchedCount === 0) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Return was changed by another request, please retry'
+                });
+            }
+
+            // Hands the return back so the refund can be retried
+            const releaseClaim = () => ReturnRequest.updateStatus(returnRequest._id, 'refunded', 'received', {
+                notes: 'Refund failed',
+                updatedBy: req.user.userId,
+                set: { refundAmount: 0 }
+            });
+
+            let result;
+            try {
+                result = await Order.refund(order, {
+                    amount,
+                    reason: `Return for order ${order.orderNumber}: ${returnRequest.reason}`,
+                    returnId: returnRequest._id,
+                    items: returnRequest.items,
+                    refundedBy: req.user.userId
+                });
+            } catch (refundError) {
+                await releaseClaim();
+                throw refundError;
+            }
+
+            if (result.error) {
+                await releaseClaim();
+                return res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+
+            const collection = await getReturnCollection();
+            await collection.updateOne(
+                { _id: returnRequest._id },
+                { $set: { refundId: result.refund._id } }
+            );
+
+            const updatedReturn = await ReturnRequest.findById(returnRequest._id);
+
+            res.json({
+                success: true,
+                message: 'Return refunded successfully',
+                data: {
+                    return: updatedReturn,
+                    refund: result.refund
+                }
+            });
+
+        } catch (error) {
+            console.error('Refund return error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to refund return'
+            });
+        }
+    }
+};
+
+module.exports = returnController;
@@ -0,0 +1,578 @@
+const { ObjectId } = require('mongodb');
+const { getCollection } = require('../config/db');
+const { RATE_TYPES, zoneMatchesAddress, calculateShippingCost } = require('../services/shipping');
+const { roundMoney } = require('../services/pricing');
+
+// Helper functions to get collections
+async function getZoneCollection() {
+    return getCollection('shipping_zones');
+}
+
+async function getMethodCollection() {
+    return getCollection('shipping_methods');
+}
+
+async function getBookCollection() {
+    return getCollection('books');
+}
+
+async function getUserCollection() {
+    return getCollection('users');
+}
+
+class ShippingZone {
+    constructor({ name, countries, states, cities, isActive, createdAt, updatedAt, _id }) {
+        this.name = name;
+        this.countries = countries || [];
+        this.states = states || [];
+        this.cities = cities || [];
+        this.isActive = isActive !== undefined ? isActive : true;
+        this.createdAt = createdAt;
+        this.updatedAt = updatedAt;
+        if (_id) this._id = _id;
+    }
+
+    static async create(zoneData) {
+        const collection = await getZoneCollection();
+        const zone = {
+            ...zoneData,
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+        const result = await collection.insertOne(zone);
+        return new ShippingZone({ ...zone, _id: result.insertedId });
+    }
+
+    static async findAll(filter = {}, { session } = {}) {
+        const collection = await getZoneCollection();
+        const zones = await collection.find(filter, { session }).sort({ name: 1 }).toArray();
+        return zones.map(zone => new ShippingZone(zone));
+    }
+
+    static async findById(id) {
+        const collection = await getZoneCollection();
+        const zone = await collection.findOne({ _id: new ObjectId(id) });
+        return zone ? new ShippingZone(zone) : null;
+    }
+
+    static async updateById(id, updateData) {
+        const collection = await getZoneCollection();
+        const result = await collection.updateOne(
+            { _id: new ObjectId(id) },
+            { $set: { ...updateData, updatedAt: new Date() } }
+        );
+        return result;
+    }
+
+    static async deleteById(id) {
+        const collection = await getZoneCollection();
+        const result = await collection.deleteOne({ _id: new ObjectId(id) });
+        return result;
+    }
+
+    // Active zones that cover an address
+    static async findForAddress(address, { session } = {}) {
+        const zones = await this.findAll({ isActive: true }, { session });
+        return zones.filter(zone => zoneMatchesAddress(zone, address));
+    }
+}
+
+class ShippingMethod {
+    constructor({ name, description, zoneIds, rateType, rates, freeShippingThreshold, estimatedDays, isActive, createdAt, updatedAt, _id }) {
+        this.name = name;
+        this.description = description;
+        this.zoneIds = zoneIds || [];
+        this.rateType = rateType;
+        this.rates = rates || [];
+        this.freeShippingThreshold = freeShippingThreshold || null;
+        this.estimatedDays = estimatedDays || null;
+        this.isActive = isActive !== undefined ? isActive : true;
+        this.createdAt = createdAt;
+        this.updatedAt = updatedAt;
+        if (_id) this._id = _id;
+    }
+
+    static async create(methodData) {
+        const collection = await getMethodCollection();
+        const method = {
+            ...methodData,
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+        const result = await collection.insertOne(method);
+        return new ShippingMethod({ ...method, _id: result.insertedId });
+    }
+
+    static async findAll(filter = {}, { session } = {}) {
+        const collection = await getMethodCollection();
+        const methods = await collection.find(filter, { session }).sort({ name: 1 }).toArray();
+        return methods.map(method => new ShippingMethod(method));
+    }
+
+    static async findById(id) {
+        const collection = await getMethodCollection();
+        const method = await collection.findOne({ _id: new ObjectId(id) });
+        return method ? new ShippingMethod(method) : null;
+    }
+
+    static async updateById(id, updateData) {
+        const collection = await getMethodCollection();
+        const result = await collection.updateOne(
+            { _id: new ObjectId(id) },
+            { $set: { ...updateData, updatedAt: new Date() } }
+        );
+        return result;
+    }
+
+    static async deleteById(id) {
+        const collection = await getMethodCollection();
+        const result = await collection.deleteOne({ _id: new ObjectId(id) });
+        return result;
+    }
+
+    // Active methods serving at least one zone that covers the address
+    static async findForAddress(address, { session } = {}) {
+        const zones = await ShippingZone.findForAddress(address, { session });
+        if (zones.length === 0) return [];
+
+        return this.findAll({
+            isActive: true,
+            zoneIds: { $in: zones.map(zone => zone._id) }
+        }, { session });
+    }
+
+    // The method checkout ships an address with: once shipping is configured
+    // for the address, a method must be chosen from the ones serving it.
+    // Returns { shippingMethod }, null when the address needs none, or
+    // { error, shippingMethods } listing the methods to choose from.
+    static async resolveForAddress(address, methodId, { session } = {}) {
+        const methods = await this.findForAddress(address, { session });
+        if (methodId) {
+            const shippingMethod = methods.find(method => method._id.toString() === methodId.toString());
+            return shippingMethod
+                ? { shippingMethod }
+                : { error: 'Shipping method is not available for this address' };
+        }
+        if (methods.length > 0) {
+            return {
+                error: 'A shipping method is required for this address',
+                shippingMethods: methods.map(method => ({ methodId: method._id, name: method.name }))
+            };
+        }
+        return { shippingMethod: null };
+    }
+}
+
+// Validates zone fields from a request body and returns them normalized
+function parseZoneData(body, { partial = false } = {}) {
+    const data = {};
+
+    if (!partial || body.name !== undefined) {
+        if (!body.name || !String(body.name).trim()) return { error: 'Zone name is required' };
+        data.name = String(body.name).trim();
+    }
+
+    for (const field of ['countries', 'states', 'cities']) {
+        if (body[field] === undefined) {
+            if (!partial) data[field] = [];
+            continue;
+        }
+        if (!Array.isArray(body[field])) return { error: `${field} must be an array` };
+        data[field] = body[field].map(value => String(value).trim()).filter(Boolean);
+    }
+
+    if (body.isActive !== undefined) data.isActive = Boolean(body.isActive);
+    if (!partial && body.isActive === undefined) data.isActive = true;
+
+    return { data };
+}
+
+// Validates method fields from a request body and returns them normalized
+function parseMethodData(body, { partial = false } = {}) {
+    const data = {};
+    const has = field => body[field] !== undefined;
+
+    if (!partial || has('name')) {
+        if (!body.name || !String(body.name).trim()) return { error: 'Method name is required' };
+        data.name = String(body.name).trim();
+    }
+
+    if (has('description')) data.description = String(body.description);
+    if (!partial && !has('description')) data.description = '';
+
+    if (!partial || has('zoneIds')) {
+        if (!Array.isArray(body.zoneIds) || body.zoneIds.length === 0 ||
+            !body.zoneIds.every(id => ObjectId.isValid(id))) {
+            return { error: 'zoneIds must be a non-empty array of valid zone IDs' };
+        }
+        data.zoneIds = body.zoneIds.map(id => new ObjectId(id));
+    }
+
+    if (!partial || has('rateType')) {
+        if (!RATE_TYPES.includes(body.rateType)) {
+            return { error: 'Invalid rate type. Valid types: ' + RATE_TYPES.join(', ') };
+        }
+        data.rateType = body.rateType;
+    }
+
+    if (!partial || has('rates')) {
+        if (!Array.isArray(body.rates) || body.rates.length === 0) {
+            return { error: 'At least one rate is required' };
+        }
+        const rates = [];
+        for (const rate of body.rates) {
+            const min = Number(rate.min) || 0;
+            const max = rate.max === undefined || rate.max === null ? null : Number(rate.max);
+            const amount = Number(rate.amount);
+            if (min < 0 || (max !== null && !(max > min)) || !(amount >= 0)) {
+                return { error: 'Each rate needs a non-negative amount and a max greater than its min' };
+            }
+            rates.push({ min, max, amount });
+        }
+        data.rates = rates.sort((a, b) => a.min - b.min);
+    }
+
+    for (const field of ['freeShippingThreshold', 'estimatedDays']) {
+        if (!has(field) || body[field] === null) {
+            if (has(field)) data[field] = null;
+            continue;
+        }
+        const number = Number(body[field]);
+        if (!(number >= 0)) return { error: `${field} must be a non-negative number` };
+        data[field] = number;
+    }
+
+    if (has('isActive')) data.isActive = Boolean(body.isActive);
+    if (!partial && !has('isActive')) data.isActive = true;
+
+    return { data };
+}
+
+// Loads { book, quantity } lines for the quote: from the request items, or
+// from the signed-in user's cart when no items are sent
+async function loadQuoteLines(items, user) {
+    let requested = items;
+    if (!requested && user) {
+        const userCollection = await getUserCollection();
+        const userData = await userCollection.findOne({ _id: new ObjectId(user.userId) });
+        requested = (userData && userData.cart) || [];
+    }
+
+    const bookCollection = await getBookCollection();
+    const lines = [];
+    for (const item of requested || []) {
+        const quantity = Number(item.quantity);
+        if (!item.bookId || !ObjectId.isValid(item.bookId) || !Number.isInteger(quantity) || quantity <= 0) {
+            return { error: 'Each item must have a valid bookId and quantity' };
+        }
+
+        const book = await bookCollection.findOne({ _id: new ObjectId(item.bookId) });
+        if (!book) return { error: `Book with ID ${item.bookId} not found` };
+        lines.push({ book, quantity });
+    }
+    return { lines };
+}
+
+// Sends 400 for an invalid ID param and 404 for a missing record;
+// returns the record otherwise
+async function loadRecord(Model, label, req, res) {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+        res.status(400).json({
+            success: false,
+            error: `Invalid ${label} ID`
+        });
+        return null;
+    }
+
+    const record = await Model.findById(id);
+    if (!record) {
+        res.status(404).json({
+            success: false,
+            error: `${label.charAt(0).toUpperCase()}${label.slice(1)} not found`
+        });
+        return null;
+    }
+    return record;
+}
+
+// Controller functions
+const shippingController = {
+    // GET /api/shipping/zones - Get all shipping zones
+    getAllZones: async (req, res) => {
+        try {
+            const zones = await ShippingZone.findAll();
+
+            res.json({
+                success: true,
+                data: zones
+            });
+
+        } catch (error) {
+            console.error('Get shipping zones error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch shipping zones'
+            });
+        }
+    },
+
+    // POST /api/shipping/zones - Create shipping zone
+    createZone: async (req, res) => {
+        try {
+            const { data, error } = parseZoneData(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error
+                });
+            }
+
+            const zone = await ShippingZone.create(data);
+
+            res.status(201).json({
+                success: true,
+                message: 'Shipping zone created successfully',
+                data: zone
+            });
+
+        } catch (error) {
+            console.error('Create shipping zone error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create shipping zone'
+            });
+        }
+    },
+
+    // PUT /api/shipping/zones/:id - Update shipping zone
+    updateZone: async (req, res) => {
+        try {
+            const zone = await loadRecord(ShippingZone, 'zone', req, res);
+            if (!zone) return;
+
+            const { data, error } = parseZoneData(req.body, { partial: true });
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error
+                });
+            }
+
+            await ShippingZone.updateById(zone._id, data);
+
+            const updatedZone = await ShippingZone.findById(zone._id);
+
+            res.json({
+                success: true,
+                message: 'Shipping zone updated successfully',
+                data: updatedZone
+            });
+
+        } catch (error) {
+            console.error('Update shipping zone error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update shipping zone'
+            });
+        }
+    },
+
+    // DELETE /api/shipping/zones/:id - Delete shipping zone
+    deleteZone: async (req, res) => {
+        try {
+            const zone = await loadRecord(ShippingZone, 'zone', req, res);
+            if (!zone) return;
+
+            // Keep methods consistent: a zone still in use cannot be removed
+            const methods = await ShippingMethod.findAll({ zoneIds: zone._id });
+            if (methods.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Cannot delete zone used by ${methods.length} shipping methods`
+                });
+            }
+
+            await ShippingZone.deleteById(zone._id);
+
+            res.json({
+                success: true,
+                message: 'Shipping zone deleted successfully'
+            });
+
+        } catch (error) {
+            console.error('Delete shipping zone error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to delete shipping zone'
+            });
+        }
+    },
+
+    // GET /api/shipping/methods - Get all shipping methods
+    getAllMethods: async (req, res) => {
+        try {
+            const methods = await ShippingMethod.findAll();
+
+            res.json({
+                success: true,
+                data: methods
+            });
+
+        } catch (error) {
+            console.error('Get shipping methods error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch shipping methods'
+            });
+        }
+    },
+
+    // POST /api/shipping/methods - Create shipping method
+    createMethod: async (req, res) => {
+        try {
+            const { data, error } = parseMethodData(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error
+                });
+            }
+
+            const method = await ShippingMethod.create(data);
+
+            res.status(201).json({
+                success: true,
+                message: 'Shipping method created successfully',
+                data: method
+            });
+
+        } catch (error) {
+            console.error('Create shipping method error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create shipping method'
+            });
+        }
+    },
+
+    // PUT /api/shipping/methods/:id - Update shipping method
+    updateMethod: async (req, res) => {
+        try {
+            const method = await loadRecord(ShippingMethod, 'method', req, res);
+            if (!method) return;
+
+            const { data, error } = parseMethodData(req.body, { partial: true });
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error
+                });
+            }
+
+            await ShippingMethod.updateById(method._id, data);
+
+            const updatedMethod = await ShippingMethod.findById(method._id);
+
+            res.json({
+                success: true,
+                message: 'Shipping method updated successfully',
+                data: updatedMethod
+            });
+
+        } catch (error) {
+            console.error('Update shipping method error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update shipping method'
+            });
+        }
+    },
+
+    // DELETE /api/shipping/methods/:id - Delete shipping method
+    deleteMethod: async (req, res) => {
+        try {
+            const method = await loadRecord(ShippingMethod, 'method', req, res);
+            if (!method) return;
+
+            await ShippingMethod.deleteById(method._id);
+
+            res.json({
+                success: true,
+                message: 'Shipping method deleted successfully'
+            });
+
+        } catch (error) {
+            console.error('Delete shipping method error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to delete shipping method'
+            });
+        }
+    },
+
+    // POST /api/shipping/quote - Get the shipping methods and costs for items and an address
+    getQuote: async (req, res) => {
+        try {
+            const { items, shippingAddress } = req.body;
+
+            if (!shippingAddress || !shippingAddress.city) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Shipping address with at least a city is required'
+                });
+            }
+
+            if (items !== undefined && !Array.isArray(items)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Items must be an array'
+                });
+            }
+
+            const { lines, error } = await loadQuoteLines(items, req.user);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error
+                });
+            }
+
+            if (lines.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Nothing to quote. Send items or add books to your cart'
+                });
+            }
+
+            const methods = await ShippingMethod.findForAddress(shippingAddress);
+            const quotes = methods
+                .map(method => ({ method, cost: calculateShippingCost(method, lines) }))
+                .filter(({ cost }) => cost !== null)
+                .map(({ method, cost }) => ({
+                    methodId: method._id,
+                    name: method.name,
+                    description: method.description,
+                    estimatedDays: method.estimatedDays,
+                    cost: roundMoney(cost)
+                }))
+                .sort((a, b) => a.cost - b.cost);
+
+            res.json({
+                success: true,
+                data: quotes
+            });
+
+        } catch (error) {
+            console.error('Shipping quote error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to calculate shipping quote'
+            });
+        }
+    }
+};
+
+module.exports = shippingController;
+module.exports.ShippingMethod = ShippingMethod;
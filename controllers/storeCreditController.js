@@ -0,0 +1,227 @@
+const { ObjectId } = require('mongodb');
+const { getCollection } = require('../config/db');
+const { roundMoney } = require('../services/pricing');
+
+// Where a ledger entry came from
+const CREDIT_SOURCES = ['gift_card', 'order', 'order_cancelled', 'refund', 'order_edit', 'adjustment'];
+
+// Helper functions to get collections
+async function getUserCollection() {
+    return getCollection('users');
+}
+
+let ledgerIndexes = null;
+
+async function getLedgerCollection() {
+    const collection = getCollection('store_credit_ledger');
+    if (!ledgerIndexes) {
+        ledgerIndexes = collection.createIndex({ userId: 1, createdAt: -1 })
+            .catch(error => console.error('Failed to create store credit indexes:', error));
+    }
+    await ledgerIndexes;
+    return collection;
+}
+
+// A user's store credit is the storeCredit balance on their user document;
+// every change to it is also written to the ledger with the balance after it.
+class StoreCredit {
+    static async getBalance(userId, { session } = {}) {
+        const users = await getUserCollection();
+        const user = await users.findOne(
+            { _id: new ObjectId(userId) },
+            { projection: { storeCredit: 1 }, session }
+        );
+        return user ? roundMoney(user.storeCredit || 0) : 0;
+    }
+
+    // Adds credit and returns the ledger entry
+    static async credit(userId, amount, { source, orderId = null, giftCardId = null, notes = '', createdBy = null, session } = {}) {
+        return this.record(userId, 'credit', roundMoney(amount), { source, orderId, giftCardId, notes, createdBy, session });
+    }
+
+    // Takes credit if the balance covers it. Returns the ledger entry, or
+    // null when the balance is too low.
+    static async debit(userId, amount, { source, orderId = null, giftCardId = null, notes = '', createdBy = null, session } = {}) {
+        return this.record(userId, 'debit', roundMoney(amount), { source, orderId, giftCardId, notes, createdBy, session });
+    }
+
+    static async record(userId, type, amount, { source, orderId, giftCardId, notes, createdBy, session }) {
+        if (!(amount > 0)) throw new Error('Store credit amount must be greater than 0');
+        if (!CREDIT_SOURCES.includes(source)) throw new Error(`Unknown store credit source: ${source}`);
+
+        const users = await getUserCollection();
+        const filter = { _id: new ObjectId(userId) };
+        // Conditional decrement, so concurrent debits cannot overdraw the balance
+        if (type === 'debit') filter.storeCredit = { $gte: amount };
+
+        const user = await users.findOneAndUpdate(
+            filter,
+            { $inc: { storeCredit: type === 'debit' ? -amount : amount } },
+            { projection: { storeCredit: 1 }, returnDocument: 'after', session }
+        );
+        if (!user) return null;
+
+        const ledger = await getLedgerCollection();
+        const entry = {
+            userId: new ObjectId(userId),
+            type,
+            amount,
+            balanceAfter: roundMoney(user.storeCredit),
+            source,
+            orderId: orderId ? new ObjectId(orderId) : null,
+            giftCardId: giftCardId ? new ObjectId(giftCardId) : null,
+            notes,
+            createdBy: createdBy ? new ObjectId(createdBy) : null,
+            createdAt: new Date()
+        };
+        const result = await ledger.insertOne(entry, { session });
+        return { ...entry, _id: result.insertedId };
+    }
+
+    static async findLedger(userId, options = {}) {
+        const ledger = await getLedgerCollection();
+        const { page = 1, limit = 20 } = options;
+        const skip = (page - 1) * limit;
+        const filter = { userId: new ObjectId(userId) };
+
+        const entries = await ledger
+            .find(filter)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .toArray();
+
+        const total = await ledger.countDocuments(filter);
+
+        return {
+            entries,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        };
+    }
+}
+
+// Controller functions
+const storeCreditController = {
+    // GET /api/store-credit - Get own store credit balance and ledger
+    getMyStoreCredit: async (req, res) => {
+        try {
+            const { page = 1, limit = 20 } = req.query;
+            const { userId } = req.user;
+
+            const balance = await StoreCredit.getBalance(userId);
+            const result = await StoreCredit.findLedger(userId, {
+                page: parseInt(page),
+                limit: parseInt(limit)
+            });
+
+            res.json({
+                success: true,
+                data: {
+                    balance,
+                    ledger: result.entries
+                },
+                pagination: result.pagination
+            });
+
+        } catch (error) {
+            console.error('Get store credit error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch store credit'
+            });
+        }
+    },
+
+    // GET /api/store-credit/users/:userId - Get a user's store credit (admin only)
+    getUserStoreCredit: async (req, res) => {
+        try {
+            const { userId } = req.params;
+            const { page = 1, limit = 20 } = req.query;
+
+            if (!ObjectId.isValid(userId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid user ID'
+                });
+            }
+
+            const balance = await StoreCredit.getBalance(userId);
+            const result = await StoreCredit.findLedger(userId, {
+                page: parseInt(page),
+                limit: parseInt(limit)
+            });
+
+            res.json({
+                success: true,
+                data: {
+                    balance,
+                    ledger: result.entries
+                },
+                pagination: result.pagination
+            });
+
+        } catch (error) {
+            console.error('Get user store credit error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch store credit'
+            });
+        }
+    },
+
+    // POST /api/store-credit/users/:userId/adjust - Add or remove credit (admin only)
+    adjustStoreCredit: async (req, res) => {
+        try {
+            const { userId } = req.params;
+            const { amount, notes = '' } = req.body;
+            const value = roundMoney(amount);
+
+            if (!ObjectId.isValid(userId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid user ID'
+                });
+            }
+
+            if (!value) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Amount must be a non-zero number; negative amounts remove credit'
+                });
+            }
+
+            const options = { source: 'adjustment', notes: String(notes), createdBy: req.user.userId };
+            const entry = value > 0
+                ? await StoreCredit.credit(userId, value, options)
+                : await StoreCredit.debit(userId, -value, options);
+
+            if (!entry) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'User not found or balance too low for this adjustment'
+                });
+            }
+
+            res.status(201).json({
+                success: true,
+                message: 'Store credit adjusted successfully',
+                data: entry
+            });
+
+        } catch (error) {
+            console.error('Adjust store credit error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to adjust store credit'
+            });
+        }
+    }
+};
+
+module.exports = storeCreditController;
+module.exports.StoreCredit = StoreCredit;
@@ -0,0 +1,246 @@
+const { ObjectId } = require('mongodb');
+const { getCollection } = require('../config/db');
+const { TAX_MODE } = require('../services/tax');
+
+// Helper function to get tax rule collection
+async function getTaxRuleCollection() {
+    return getCollection('tax_rules');
+}
+
+class TaxRule {
+    constructor({ name, rate, countries, states, cities, categoryIds, priority, isActive, createdAt, updatedAt, _id }) {
+        this.name = name;
+        this.rate = Number(rate) || 0;
+        this.countries = countries || [];
+        this.states = states || [];
+        this.cities = cities || [];
+        this.categoryIds = categoryIds || [];
+        this.priority = Number(priority) || 0;
+        this.isActive = isActive !== undefined ? isActive : true;
+        this.createdAt = createdAt;
+        this.updatedAt = updatedAt;
+        if (_id) this._id = _id;
+    }
+
+    static async create(ruleData) {
+        const collection = await getTaxRuleCollection();
+        const rule = {
+            ...ruleData,
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+        const result = await collection.insertOne(rule);
+        return new TaxRule({ ...rule, _id: result.insertedId });
+    }
+
+    static async findAll(filter = {}, { session } = {}) {
+        const collection = await getTaxRuleCollection();
+        const rules = await collection.find(filter, { session }).sort({ name: 1 }).toArray();
+        return rules.map(rule => new TaxRule(rule));
+    }
+
+    static async findActive({ session } = {}) {
+        return this.findAll({ isActive: true }, { session });
+    }
+
+    static async findById(id) {
+        const collection = await getTaxRuleCollection();
+        const rule = await collection.findOne({ _id: new ObjectId(id) });
+        return rule ? new TaxRule(rule) : null;
+    }
+
+    static async updateById(id, updateData) {
+        const collection = await getTaxRuleCollection();
+        const result = await collection.updateOne(
+            { _id: new ObjectId(id) },
+            { $set: { ...updateData, updatedAt: new Date() } }
+        );
+        return result;
+    }
+
+    static async deleteById(id) {
+        const collection = await getTaxRuleCollection();
+        const result = await collection.deleteOne({ _id: new ObjectId(id) });
+        return result;
+    }
+}
+
+// Validates tax rule fields from a request body and returns them normalized.
+// A rate of 0 makes the covered books tax exempt in the region.
+function parseTaxRuleData(body, { partial = false } = {}) {
+    const data = {};
+    const has = field => body[field] !== undefined;
+
+    if (!partial || has('name')) {
+        if (!body.name || !String(body.name).trim()) return { error: 'Tax rule name is required' };
+        data.name = String(body.name).trim();
+    }
+
+    if (!partial || has('rate')) {
+        const rate = Number(body.rate);
+        if (body.rate === undefined || body.rate === null || !(rate >= 0 && rate <= 100)) {
+            return { error: 'Rate must be a percentage between 0 and 100' };
+        }
+        data.rate = rate;
+    }
+
+    for (const field of ['countries', 'states', 'cities']) {
+        if (!has(field)) {
+            if (!partial) data[field] = [];
+            continue;
+        }
+        if (!Array.isArray(body[field])) return { error: `${field} must be an array` };
+        data[field] = body[field].map(value => String(value).trim()).filter(Boolean);
+    }
+
+    if (has('categoryIds')) {
+        if (!Array.isArray(body.categoryIds) || !body.categoryIds.every(id => ObjectId.isValid(id))) {
+            return { error: 'categoryIds must be an array of valid IDs' };
+        }
+        data.categoryIds = body.categoryIds.map(id => new ObjectId(id));
+    } else if (!partial) {
+        data.categoryIds = [];
+    }
+
+    if (has('priority')) data.priority = Number(body.priority) || 0;
+    if (has('isActive')) data.isActive = Boolean(body.isActive);
+    if (!partial && !has('isActive')) data.isActive = true;
+
+    return { data };
+}
+
+// Controller functions
+const taxController = {
+    // GET /api/tax-rules - Get all tax rules
+    getAllTaxRules: async (req, res) => {
+        try {
+            const rules = await TaxRule.findAll();
+
+            res.json({
+                success: true,
+                data: rules,
+                taxMode: TAX_MODE
+            });
+
+        } catch (error) {
+            console.error('Get tax rules error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch tax rules'
+            });
+        }
+    },
+
+    // POST /api/tax-rules - Create tax rule
+    createTaxRule: async (req, res) => {
+        try {
+            const { data, error } = parseTaxRuleData(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error
+                });
+            }
+
+            const rule = await TaxRule.create(data);
+
+            res.status(201).json({
+                success: true,
+                message: 'Tax rule created successfully',
+                data: rule
+            });
+
+        } catch (error) {
+            console.error('Create tax rule error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create tax rule'
+            });
+        }
+    },
+
+    // PUT /api/tax-rules/:id - Update tax rule
+    updateTaxRule: async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid tax rule ID'
+                });
+            }
+
+            const { data, error } = parseTaxRuleData(req.body, { partial: true });
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error
+                });
+            }
+
+            // Orders keep the tax they were created with; only new orders see the change
+            const result = await TaxRule.updateById(id, data);
+
+            if (result.matchedCount === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Tax rule not found'
+                });
+            }
+
+            const updatedRule = await TaxRule.findById(id);
+
+            res.json({
+                success: true,
+                message: 'Tax rule updated successfully',
+                data: updatedRule
+            });
+
+        } catch (error) {
+            console.error('Update tax rule error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update tax rule'
+            });
+        }
+    },
+
+    // DELETE /api/tax-rules/:id - Delete tax rule
+    deleteTaxRule: async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid tax rule ID'
+                });
+            }
+
+            const result = await TaxRule.deleteById(id);
+
+            if (result.deletedCount === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Tax rule not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Tax rule deleted successfully'
+            });
+
+        } catch (error) {
+            console.error('Delete tax rule error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to delete tax rule'
+            });
+        }
+    }
+};
+
+module.exports = taxController;
+module.exports.TaxRule = TaxRule;
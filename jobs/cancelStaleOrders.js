@@ -0,0 +1,66 @@
+// Cancels orders that stayed pending and unpaid for longer than the timeout,
+// returning the stock, coupon uses and store credit they held. Their payment
+// intents are cancelled first so they cannot be paid afterwards.
+const { withTransaction } = require('../config/db');
+const { Order, UNSETTLED_PAYMENT_STATUSES } = require('../controllers/orderController');
+
+const PENDING_ORDER_TIMEOUT_MINUTES = Number(process.env.PENDING_ORDER_TIMEOUT_MINUTES) || 60;
+const BATCH_SIZE = 100;
+// Orders whose payment cannot be cancelled are retried after this long,
+// doubling with each attempt up to the maximum
+const RETRY_DELAY_MINUTES = Number(process.env.STALE_ORDER_RETRY_MINUTES) || 15;
+const MAX_RETRY_DELAY_MINUTES = 24 * 60;
+
+async function cancelStaleOrders({ startedAt = new Date() } = {}) {
+    const cutoff = new Date(startedAt.getTime() - PENDING_ORDER_TIMEOUT_MINUTES * 60 * 1000);
+    const orders = await Order.findStalePending(cutoff, { limit: BATCH_SIZE, now: startedAt });
+    const notes = `Automatically cancelled: not paid within ${PENDING_ORDER_TIMEOUT_MINUTES} minutes`;
+
+    let cancelled = 0;
+    for (const order of orders) {
+        try {
+            // A provider that refuses to cancel may be taking the payment right
+            // now: leave the order to its webhook or a later run, and keep it
+            // out of the batch until then so newer stale orders are reached
+            try {
+                await Order.cancelPaymentIntent(order);
+            } catch (error) {
+                const retryAt = await Order.deferStaleCancel(order, {
+                    baseDelayMs: RETRY_DELAY_MINUTES * 60 * 1000,
+                    maxDelayMs: MAX_RETRY_DELAY_MINUTES * 60 * 1000,
+                    now: startedAt
+                });
+                console.error(`Skipped stale order ${order.orderNumber} until ${retryAt && retryAt.toISOString()}, its payment could not be cancelled:`, error.message);
+                continue;
+            }
+
+            const applied = await withTransaction(async (session) => {
+                // Skips the order if it was paid or changed since it was read
+                const cancelledOrder = await Order.updateStatus(order._id, 'cancelled', notes, {
+                    expectedStatus: 'pending',
+                    match: { paymentStatus: { $in: UNSETTLED_PAYMENT_STATUSES } },
+                    session
+                });
+                if (!cancelledOrder) return false;
+
+                // Release what the order holds now, not what the batch read saw
+                await Order.releaseReservations(cancelledOrder, { session });
+                return true;
+            });
+            if (applied) cancelled++;
+        } catch (error) {
+            console.error(`Failed to cancel stale order ${order.orderNumber}:`, error);
+        }
+    }
+
+    if (cancelled > 0) {
+        console.log(`Cancelled ${cancelled} unpaid order(s) older than ${PENDING_ORDER_TIMEOUT_MINUTES} minutes`);
+    }
+    return { checked: orders.length, cancelled };
+}
+
+module.exports = {
+    name: 'cancelStaleOrders',
+    intervalMs: (Number(process.env.STALE_ORDER_CHECK_MINUTES) || 5) * 60 * 1000,
+    run: cancelStaleOrders
+};
@@ -0,0 +1,18 @@
+// Periodic jobs run by every app instance; the scheduler's locks keep each
+// job to one instance at a time. Set JOBS_ENABLED=false to run none here.
+const { JobScheduler } = require('../services/scheduler');
+const cancelStaleOrders = require('./cancelStaleOrders');
+
+const JOBS = [cancelStaleOrders];
+
+function startJobs() {
+    if (process.env.JOBS_ENABLED === 'false') return null;
+
+    const scheduler = new JobScheduler();
+    JOBS.forEach(job => scheduler.register(job));
+    return scheduler.start();
+}
+
+module.exports = {
+    startJobs
+};
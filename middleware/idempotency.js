@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const { getCollection } = require('../config/db');
+
+// How long a stored response can be replayed for the same key
+const IDEMPOTENCY_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+const MAX_KEY_LENGTH = 255;
+// Response fields never written to the database, such as a payment intent's
+// client secret. A replayed response leaves them out.
+const SECRET_FIELDS = ['clientSecret'];
+// How long a request holds its key. A retry may take the key over once the
+// lease has run out, e.g. after the process handling it crashed.
+const IDEMPOTENCY_LEASE_SECONDS = Number(process.env.IDEMPOTENCY_LEASE_SECONDS) || 120;
+
+let keyIndexes = null;
+
+// Helper function to get idempotency key collection
+async function getIdempotencyCollection() {
+    const collection = getCollection('idempotency_keys');
+    if (!keyIndexes) {
+        // Let MongoDB purge records once their replay window has passed
+        keyIndexes = collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+            .catch(error => console.error('Failed to create idempotency indexes:', error));
+    }
+    await keyIndexes;
+    return collection;
+}
+
+// JSON.stringify with sorted object keys, so key order does not change the hash
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+// Copy of a response body without its secret fields, at any depth
+function withoutSecrets(value) {
+    if (Array.isArray(value)) {
+        return value.map(withoutSecrets);
+    }
+    if (value && typeof value === 'object' && value.constructor === Object) {
+        return Object.fromEntries(Object.entries(value)
+            .filter(([key]) => !SECRET_FIELDS.includes(key))
+            .map(([key, field]) => [key, withoutSecrets(field)]));
+    }
+    return value;
+}
+
+function hashRequest(req) {
+    return crypto
+        .createHash('sha256')
+        .update(`${req.method} ${req.baseUrl}${req.path} ${stableStringify(req.body || {})}`)
+        .digest('hex');
+}
+
+// Honours the Idempotency-Key header: the first response for a user+key is
+// stored and replayed verbatim for retries of the same request.
+// Must run after authenticateToken.
+const idempotent = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) {
+        return next();
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+            success: false,
+            error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+        });
+    }
+
+    try {
+        const collection = await getIdempotencyCollection();
+        const recordId = `${req.user.userId}:${key}`;
+        const requestHash = hashRequest(req);
+        const now = new Date();
+        const leaseId = crypto.randomUUID();
+        const lockedUntil = new Date(now.getTime() + IDEMPOTENCY_LEASE_SECONDS * 1000);
+
+        // Drop a record whose window has passed but the TTL monitor has not purged yet
+        await collection.deleteOne({ _id: recordId, expiresAt: { $lte: now } });
+
+        try {
+            await collection.insertOne({
+                _id: recordId,
+                userId: req.user.userId,
+                key,
+                requestHash,
+                state: 'processing',
+                leaseId,
+                lockedUntil,
+                createdAt: now,
+                expiresAt: new Date(now.getTime() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000)
+            });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+
+            const existing = await collection.findOne({ _id: recordId });
+            if (!existing) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Request with this Idempotency-Key is being retried, please try again'
+                });
+            }
+
+            if (existing.requestHash !== requestHash) {
+                return res.status(422).json({
+                    success: false,
+                    error: 'Idempotency-Key has already been used with a different request'
+                });
+            }
+
+            if (existing.state === 'completed') {
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(existing.responseStatus).json(existing.responseBody);
+            }
+
+            // Still processing: take the key over only if its lease has run out,
+            // and only one retry can win it
+            const takenOver = existing.lockedUntil > now
+                ? null
+                : await collection.findOneAndUpdate(
+                    {
+                        _id: recordId,
+                        state: 'processing',
+                        leaseId: existing.leaseId,
+                        lockedUntil: { $not: { $gt: now } }
+                    },
+                    { $set: { leaseId, lockedUntil } }
+                );
+            if (!takenOver) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'A request with this Idempotency-Key is still being processed'
+                });
+            }
+        }
+
+        // Capture the response so retries can replay it, and store it before
+        // sending. Server errors are not stored, leaving the key free for another attempt.
+        // Both only apply while this request still holds the lease.
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            const record = res.statusCode >= 500
+                ? collection.deleteOne({ _id: recordId, leaseId })
+                : collection.updateOne(
+                    { _id: recordId, leaseId },
+                    {
+                        $set: {
+                            state: 'completed',
+                            responseStatus: res.statusCode,
+                            responseBody: withoutSecrets(body),
+                            completedAt: new Date()
+                        }
+                    }
+                );
+            record
+                .catch(error => console.error('Failed to store idempotent response:', error))
+                .then(() => json(body));
+            return res;
+        };
+
+        next();
+    } catch (error) {
+        console.error('Idempotency check error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to process Idempotency-Key'
+        });
+    }
+};
+
+module.exports = {
+    idempotent
+};
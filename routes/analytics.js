@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const analyticsController = require('../controllers/analyticsController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+// All analytics routes are admin only
+router.use(authenticateToken, requireAdmin);
+
+router.get('/sales', analyticsController.getSalesReport);   // GET /api/analytics/sales?from=&to=&interval=day|week|month
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const couponController = require('../controllers/couponController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+// All coupon management routes are admin only
+router.use(authenticateToken, requireAdmin);
+
+router.get('/', couponController.getAllCoupons);          // GET /api/coupons
+router.get('/:id', couponController.getCouponById);       // GET /api/coupons/:id
+router.post('/', couponController.createCoupon);          // POST /api/coupons
+router.put('/:id', couponController.updateCoupon);        // PUT /api/coupons/:id
+router.delete('/:id', couponController.deleteCoupon);     // DELETE /api/coupons/:id
+
+module.exports = router;
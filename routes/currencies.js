@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const currencyController = require('../controllers/currencyController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+router.get('/', currencyController.getCurrencies);                                                  // GET /api/currencies
+
+// Admin only routes for maintaining exchange rates
+router.put('/:code', authenticateToken, requireAdmin, currencyController.setExchangeRate);         // PUT /api/currencies/:code
+router.delete('/:code', authenticateToken, requireAdmin, currencyController.deleteExchangeRate);   // DELETE /api/currencies/:code
+
+module.exports = router;
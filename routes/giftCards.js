@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const giftCardController = require('../controllers/giftCardController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+// All gift card routes require authentication
+router.use(authenticateToken);
+
+router.get('/balance/:code', giftCardController.getGiftCardBalance);         // GET /api/gift-cards/balance/:code
+router.post('/redeem', giftCardController.redeemGiftCard);                   // POST /api/gift-cards/redeem
+
+// Admin only routes for issuing and managing gift cards
+router.get('/', requireAdmin, giftCardController.getAllGiftCards);           // GET /api/gift-cards
+router.post('/', requireAdmin, giftCardController.issueGiftCards);           // POST /api/gift-cards
+router.put('/:id', requireAdmin, giftCardController.updateGiftCard);         // PUT /api/gift-cards/:id
+
+module.exports = router;
@@ -1,27 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const orderController = require('../controllers/orderController');
-
-// Middleware to verify JWT token
-const jwt = require('jsonwebtoken');
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
-
-const authenticateToken = (req, res, next) => {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (!token) {
-        return res.status(401).json({ error: 'Access token required' });
-    }
-
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) {
-            return res.status(403).json({ error: 'Invalid or expired token' });
-        }
-        req.user = user;
-        next();
-    });
-};
+const orderMessageController = require('../controllers/orderMessageController');
+const { authenticateToken, addUserRole } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 
 // Admin only middleware
 const requireAdmin = (req, res, next) => {
@@ -34,19 +16,29 @@ const requireAdmin = (req, res, next) => {
     next();
 };
 
-// All order routes require authentication
-router.use(authenticateToken);
+// All order routes require authentication; addUserRole loads the role the
+// admin checks below and in the controller rely on
+router.use(authenticateToken, addUserRole);
 
 // Order routes
 router.get('/', orderController.getAllOrders);                    // GET /api/orders
 router.get('/stats', orderController.getOrderStats);              // GET /api/orders/stats
+router.get('/export', requireAdmin, orderController.exportOrders);  // GET /api/orders/export (admin only)
+router.get('/number/:orderNumber', orderController.getOrderByNumber); // GET /api/orders/number/:orderNumber
 router.get('/user/:userId', requireAdmin, orderController.getUserOrders); // GET /api/orders/user/:userId (admin only)
 router.get('/:id', orderController.getOrderById);                 // GET /api/orders/:id
+router.get('/:id/invoice', orderController.getOrderInvoice);      // GET /api/orders/:id/invoice?format=pdf|html
+router.get('/:id/messages', orderMessageController.getMessages);  // GET /api/orders/:id/messages
 
-router.post('/', orderController.createOrder);                    // POST /api/orders
-router.post('/from-cart', orderController.createOrderFromCart);   // POST /api/orders/from-cart
+router.post('/', idempotent, orderController.createOrder);                    // POST /api/orders
+router.post('/from-cart', idempotent, orderController.createOrderFromCart);   // POST /api/orders/from-cart
+router.post('/:id/reorder', orderController.reorderOrder);                    // POST /api/orders/:id/reorder
+router.post('/:id/messages', orderMessageController.createMessage);           // POST /api/orders/:id/messages
+router.post('/:id/refunds', requireAdmin, orderController.refundOrder);       // POST /api/orders/:id/refunds (admin only)
+router.post('/:id/shipments', requireAdmin, orderController.createShipment);  // POST /api/orders/:id/shipments (admin only)
 
 router.put('/:id', requireAdmin, orderController.updateOrder);    // PUT /api/orders/:id (admin only)
 router.put('/:id/status', orderController.updateOrderStatus);     // PUT /api/orders/:id/status
+router.put('/:id/shipments/:shipmentId', requireAdmin, orderController.updateShipment); // PUT /api/orders/:id/shipments/:shipmentId (admin only)
 
 module.exports = router;
\ No newline at end of file
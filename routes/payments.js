@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+// Provider webhooks authenticate with their signature, not a user token
+router.post('/webhook/:provider', paymentController.handleWebhook);              // POST /api/payments/webhook/:provider
+
+router.post('/orders/:orderId/intent', authenticateToken, paymentController.createPaymentIntent); // POST /api/payments/orders/:orderId/intent
+
+// Offline stand-in for the mock provider's dashboard, never exposed in production
+if (process.env.NODE_ENV !== 'production') {
+    router.post('/mock/:intentId/complete', authenticateToken, requireAdmin, paymentController.completeMockPayment); // POST /api/payments/mock/:intentId/complete (admin only)
+}
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const returnController = require('../controllers/returnController');
+const { authenticateToken, addUserRole, requireAdmin } = require('../middleware/auth');
+
+// All return routes require authentication
+router.use(authenticateToken, addUserRole);
+
+router.get('/', returnController.getAllReturns);                              // GET /api/returns
+router.get('/:id', returnController.getReturnById);                           // GET /api/returns/:id
+router.post('/', returnController.createReturn);                              // POST /api/returns
+
+// Admin only routes for processing returns
+router.put('/:id/approve', requireAdmin, returnController.approveReturn);     // PUT /api/returns/:id/approve
+router.put('/:id/reject', requireAdmin, returnController.rejectReturn);       // PUT /api/returns/:id/reject
+router.put('/:id/receive', requireAdmin, returnController.receiveReturn);     // PUT /api/returns/:id/receive
+router.post('/:id/refund', requireAdmin, returnController.refundReturn);      // POST /api/returns/:id/refund
+
+module.exports = router;
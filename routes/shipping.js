@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const shippingController = require('../controllers/shippingController');
+const { authenticateToken, requireAdmin, optionalAuth } = require('../middleware/auth');
+
+// Public quote; signed-in users can quote their cart without sending items
+router.post('/quote', optionalAuth, shippingController.getQuote);                                 // POST /api/shipping/quote
+
+// Admin only routes for configuring zones and methods
+router.get('/zones', authenticateToken, requireAdmin, shippingController.getAllZones);            // GET /api/shipping/zones
+router.post('/zones', authenticateToken, requireAdmin, shippingController.createZone);            // POST /api/shipping/zones
+router.put('/zones/:id', authenticateToken, requireAdmin, shippingController.updateZone);         // PUT /api/shipping/zones/:id
+router.delete('/zones/:id', authenticateToken, requireAdmin, shippingController.deleteZone);      // DELETE /api/shipping/zones/:id
+
+router.get('/methods', authenticateToken, requireAdmin, shippingController.getAllMethods);        // GET /api/shipping/methods
+router.post('/methods', authenticateToken, requireAdmin, shippingController.createMethod);        // POST /api/shipping/methods
+router.put('/methods/:id', authenticateToken, requireAdmin, shippingController.updateMethod);     // PUT /api/shipping/methods/:id
+router.delete('/methods/:id', authenticateToken, requireAdmin, shippingController.deleteMethod);  // DELETE /api/shipping/methods/:id
+
+module.exports = router;
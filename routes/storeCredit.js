@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const storeCreditController = require('../controllers/storeCreditController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+// All store credit routes require authentication
+router.use(authenticateToken);
+
+router.get('/', storeCreditController.getMyStoreCredit);                                         // GET /api/store-credit
+
+// Admin only routes
+router.get('/users/:userId', requireAdmin, storeCreditController.getUserStoreCredit);           // GET /api/store-credit/users/:userId
+router.post('/users/:userId/adjust', requireAdmin, storeCreditController.adjustStoreCredit);    // POST /api/store-credit/users/:userId/adjust
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const taxController = require('../controllers/taxController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+// All tax rule routes are admin only
+router.use(authenticateToken, requireAdmin);
+
+router.get('/', taxController.getAllTaxRules);          // GET /api/tax-rules
+router.post('/', taxController.createTaxRule);          // POST /api/tax-rules
+router.put('/:id', taxController.updateTaxRule);        // PUT /api/tax-rules/:id
+router.delete('/:id', taxController.deleteTaxRule);     // DELETE /api/tax-rules/:id
+
+module.exports = router;
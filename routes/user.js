@@ -1,7 +1,14 @@
+const crypto = require("crypto");
 const express = require("express");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const { MongoClient, ObjectId } = require("mongodb");
+const { calculatePricing, PricingError } = require("../services/pricing");
+const { Coupon } = require("../controllers/couponController");
+const { ShippingMethod } = require("../controllers/shippingController");
+const { TaxRule } = require("../controllers/taxController");
+const { ExchangeRate } = require("../controllers/currencyController");
+const { BASE_CURRENCY, localizePrice } = require("../services/currency");
 
 const router = express.Router();
 
@@ -13,11 +20,102 @@ const client = new MongoClient(uri);
 // JWT Secret (use environment variable in production)
 const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key";
 
+// Guest carts untouched for this long are purged
+const GUEST_CART_TTL_DAYS = Number(process.env.GUEST_CART_TTL_DAYS) || 30;
+
 // Helper function to get user collection
 async function getUserCollection() {
   return client.db(dbName).collection("users");
 }
 
+let guestCartIndexes = null;
+
+// Helper function to get guest cart collection
+async function getGuestCartCollection() {
+  const collection = client.db(dbName).collection("guest_carts");
+  if (!guestCartIndexes) {
+    guestCartIndexes = collection
+      .createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+      .catch((error) =>
+        console.error("Failed to create guest cart indexes:", error)
+      );
+  }
+  await guestCartIndexes;
+  return collection;
+}
+
+// Helper function to get book collection
+async function getBookCollection() {
+  return client.db(dbName).collection("books");
+}
+
+// Looks up a catalog book for a cart operation, or null for an unknown ID
+async function findBook(bookId) {
+  if (!bookId || !ObjectId.isValid(bookId)) return null;
+  const collection = await getBookCollection();
+  return collection.findOne({ _id: new ObjectId(bookId) });
+}
+
+// Fetches the catalog books referenced by a cart, keyed by book ID
+async function loadCartBooks(cart) {
+  const collection = await getBookCollection();
+  const bookIds = cart
+    .filter((item) => item.bookId && ObjectId.isValid(item.bookId))
+    .map((item) => new ObjectId(item.bookId));
+  const books = await collection.find({ _id: { $in: bookIds } }).toArray();
+  return new Map(books.map((book) => [book._id.toString(), book]));
+}
+
+// Compares each cart line with the live catalog and flags price changes,
+// insufficient stock and books that no longer exist. Price changes are
+// detected in the base currency; the prices shown are in the given currency.
+function validateCart(
+  cart,
+  booksById,
+  currency = { code: BASE_CURRENCY, rate: 1 }
+) {
+  return cart.map((item) => {
+    const book = item.bookId && booksById.get(item.bookId.toString());
+    if (!book) {
+      return { ...item, unavailable: true };
+    }
+
+    const availableStock = Number(book.stock) || 0;
+    const currentPrice = localizePrice(book, currency);
+    const priceChanged = book.price !== item.price;
+    return {
+      ...item,
+      price: priceChanged
+        ? localizePrice({ price: item.price }, currency)
+        : currentPrice,
+      currentPrice,
+      priceChanged,
+      availableStock,
+      insufficientStock: availableStock < item.quantity,
+    };
+  });
+}
+
+// Builds a cart line from a catalog book, snapshotting its current price
+function toCartItem(book, quantity) {
+  return {
+    bookId: book._id,
+    title: book.title,
+    author: book.author,
+    price: book.price,
+    quantity,
+    addedAt: new Date(),
+  };
+}
+
+// Cart fields shared by every cart response; guests also get their cart token
+function cartResponse(cart) {
+  return {
+    ...(cart.token && { cartToken: cart.token }),
+    cart: cart.items,
+  };
+}
+
 // User class (same as in your main file)
 class User {
   constructor({ name, email, password, _id, cart = [] }) {
@@ -56,6 +154,93 @@ class User {
   }
 }
 
+// Anonymous cart identified by an opaque token instead of a user account
+class GuestCart {
+  constructor({ _id, items = [], createdAt, updatedAt }) {
+    this.token = _id;
+    this.items = items;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  static generateToken() {
+    return crypto.randomBytes(24).toString("hex");
+  }
+
+  static async findByToken(token) {
+    if (!token || typeof token !== "string") return null;
+    const collection = await getGuestCartCollection();
+    const cart = await collection.findOne({
+      _id: token,
+      expiresAt: { $gt: new Date() },
+    });
+    return cart ? new GuestCart(cart) : null;
+  }
+
+  // Creates or updates the cart and pushes its expiry out again
+  static async save(token, items) {
+    const collection = await getGuestCartCollection();
+    const now = new Date();
+    return collection.updateOne(
+      { _id: token },
+      {
+        $set: {
+          items,
+          updatedAt: now,
+          expiresAt: new Date(now.getTime() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000),
+        },
+        $setOnInsert: { createdAt: now },
+      },
+      { upsert: true }
+    );
+  }
+
+  static async deleteByToken(token) {
+    const collection = await getGuestCartCollection();
+    return collection.deleteOne({ _id: token });
+  }
+}
+
+// Merges a guest cart into a user's cart: quantities of the same book are
+// summed and capped at the available stock, books no longer in the catalog
+// are dropped. The guest cart is deleted afterwards.
+async function mergeGuestCart(userId, cartToken) {
+  const user = await User.findById(userId);
+  const guestCart = await GuestCart.findByToken(cartToken);
+  if (!guestCart) return user.cart;
+
+  const merged = [...user.cart];
+  const booksById = await loadCartBooks(guestCart.items);
+
+  for (const guestItem of guestCart.items) {
+    const book = guestItem.bookId && booksById.get(guestItem.bookId.toString());
+    if (!book) continue;
+
+    const index = merged.findIndex(
+      (item) => item.bookId && item.bookId.toString() === book._id.toString()
+    );
+    const currentQuantity = index !== -1 ? merged[index].quantity : 0;
+    const quantity = Math.min(
+      currentQuantity + guestItem.quantity,
+      Number(book.stock) || 0
+    );
+    if (quantity <= currentQuantity) continue;
+
+    const cartItem = toCartItem(book, quantity);
+    if (index !== -1) {
+      cartItem.addedAt = merged[index].addedAt;
+      merged[index] = cartItem;
+    } else {
+      cartItem.addedAt = guestItem.addedAt || cartItem.addedAt;
+      merged.push(cartItem);
+    }
+  }
+
+  await User.updateById(userId, { cart: merged });
+  await GuestCart.deleteByToken(cartToken);
+  return merged;
+}
+
 // Middleware to verify JWT token
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers["authorization"];
@@ -74,6 +259,50 @@ const authenticateToken = (req, res, next) => {
   });
 };
 
+// Middleware to resolve the cart a request works on: the account cart when a
+// bearer token is sent, otherwise the guest cart named by the X-Cart-Token
+// header. Guests without a valid token get a new cart, created on first save.
+const resolveCart = async (req, res, next) => {
+  if (req.headers["authorization"]) {
+    return authenticateToken(req, res, async () => {
+      try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+          return res.status(404).json({ error: "User not found" });
+        }
+
+        req.cart = {
+          items: user.cart || [],
+          save() {
+            return User.updateById(user._id, { cart: this.items });
+          },
+        };
+        next();
+      } catch (error) {
+        console.error("Resolve cart error:", error);
+        res.status(500).json({ error: "Internal server error" });
+      }
+    });
+  }
+
+  try {
+    const guestCart = await GuestCart.findByToken(req.headers["x-cart-token"]);
+
+    req.cart = {
+      token: guestCart ? guestCart.token : null,
+      items: guestCart ? guestCart.items : [],
+      save() {
+        if (!this.token) this.token = GuestCart.generateToken();
+        return GuestCart.save(this.token, this.items);
+      },
+    };
+    next();
+  } catch (error) {
+    console.error("Resolve cart error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
 // POST /api/users/register - User Registration
 router.post("/register", async (req, res) => {
   try {
@@ -116,6 +345,12 @@ router.post("/register", async (req, res) => {
 
     const user = await User.create(userData);
 
+    // Carry over anything added to the cart before signing up
+    const cartToken = req.body.cartToken || req.headers["x-cart-token"];
+    const cart = cartToken
+      ? await mergeGuestCart(user._id, cartToken)
+      : user.cart;
+
     // Generate JWT token
     const token = jwt.sign(
       { userId: user._id, email: user.email },
@@ -129,6 +364,7 @@ router.post("/register", async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email,
+        cart,
       },
       token,
     });
@@ -166,6 +402,12 @@ router.post("/login", async (req, res) => {
       });
     }
 
+    // Merge a cart built while browsing anonymously into the account cart
+    const cartToken = req.body.cartToken || req.headers["x-cart-token"];
+    const cart = cartToken
+      ? await mergeGuestCart(user._id, cartToken)
+      : user.cart;
+
     // Generate JWT token
     const token = jwt.sign(
       { userId: user._id, email: user.email },
@@ -179,7 +421,7 @@ router.post("/login", async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email,
-        cart: user.cart,
+        cart,
       },
       token,
     });
@@ -233,46 +475,49 @@ router.put("/profile", authenticateToken, async (req, res) => {
 });
 
 // POST /api/users/cart/add - Add item to cart
-router.post("/cart/add", authenticateToken, async (req, res) => {
+router.post("/cart/add", resolveCart, async (req, res) => {
   try {
-    const { title, author, price, description } = req.body;
+    const { bookId } = req.body;
+    const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
+    const { cart } = req;
 
-    if (!title || !author || !price) {
+    if (!bookId || !Number.isInteger(quantity) || quantity <= 0) {
       return res.status(400).json({
-        error: "Title, author, and price are required",
+        error: "Valid bookId and quantity are required",
       });
     }
 
-    const user = await User.findById(req.user.userId);
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
+    const book = await findBook(bookId);
+    if (!book) {
+      return res.status(404).json({ error: "Book not found" });
     }
 
     // Check if item already exists in cart
-    const existingItemIndex = user.cart.findIndex(
-      (item) => item.title === title
+    const existingItemIndex = cart.items.findIndex(
+      (item) => item.bookId && item.bookId.toString() === book._id.toString()
     );
+    const currentQuantity =
+      existingItemIndex !== -1 ? cart.items[existingItemIndex].quantity : 0;
+
+    if (currentQuantity + quantity > (Number(book.stock) || 0)) {
+      return res.status(409).json({
+        error: `Insufficient stock for "${book.title}". Available: ${book.stock || 0}, In cart: ${currentQuantity}`,
+      });
+    }
 
+    const cartItem = toCartItem(book, currentQuantity + quantity);
     if (existingItemIndex !== -1) {
-      // Increase quantity if item exists
-      user.cart[existingItemIndex].quantity += 1;
+      cartItem.addedAt = cart.items[existingItemIndex].addedAt;
+      cart.items[existingItemIndex] = cartItem;
     } else {
-      // Add new item
-      user.cart.push({
-        title,
-        author,
-        price: Number(price),
-        description,
-        quantity: 1,
-        addedAt: new Date(),
-      });
+      cart.items.push(cartItem);
     }
 
-    await User.updateById(req.user.userId, { cart: user.cart });
+    await cart.save();
 
     res.json({
       message: "Item added to cart",
-      cart: user.cart,
+      ...cartResponse(cart),
     });
   } catch (error) {
     console.error("Add to cart error:", error);
@@ -281,39 +526,49 @@ router.post("/cart/add", authenticateToken, async (req, res) => {
 });
 
 // PUT /api/users/cart/update - Update cart item quantity
-router.put("/cart/update", authenticateToken, async (req, res) => {
+router.put("/cart/update", resolveCart, async (req, res) => {
   try {
-    const { title, quantity } = req.body;
+    const { bookId } = req.body;
+    const quantity = Number(req.body.quantity);
+    const { cart } = req;
 
-    if (!title || quantity < 0) {
+    if (!bookId || !Number.isInteger(quantity) || quantity < 0) {
       return res.status(400).json({
-        error: "Valid title and quantity are required",
+        error: "Valid bookId and quantity are required",
       });
     }
 
-    const user = await User.findById(req.user.userId);
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
-    }
-
-    const itemIndex = user.cart.findIndex((item) => item.title === title);
+    const itemIndex = cart.items.findIndex(
+      (item) => item.bookId && item.bookId.toString() === bookId.toString()
+    );
     if (itemIndex === -1) {
       return res.status(404).json({ error: "Item not found in cart" });
     }
 
     if (quantity === 0) {
       // Remove item if quantity is 0
-      user.cart.splice(itemIndex, 1);
+      cart.items.splice(itemIndex, 1);
     } else {
+      const book = await findBook(bookId);
+      if (!book) {
+        return res.status(404).json({ error: "Book not found" });
+      }
+
+      if (quantity > (Number(book.stock) || 0)) {
+        return res.status(409).json({
+          error: `Insufficient stock for "${book.title}". Available: ${book.stock || 0}`,
+        });
+      }
+
       // Update quantity
-      user.cart[itemIndex].quantity = quantity;
+      cart.items[itemIndex].quantity = quantity;
     }
 
-    await User.updateById(req.user.userId, { cart: user.cart });
+    await cart.save();
 
     res.json({
       message: "Cart updated successfully",
-      cart: user.cart,
+      ...cartResponse(cart),
     });
   } catch (error) {
     console.error("Cart update error:", error);
@@ -322,25 +577,23 @@ router.put("/cart/update", authenticateToken, async (req, res) => {
 });
 
 // DELETE /api/users/cart/remove - Remove item from cart
-router.delete("/cart/remove", authenticateToken, async (req, res) => {
+router.delete("/cart/remove", resolveCart, async (req, res) => {
   try {
-    const { title } = req.body;
-
-    if (!title) {
-      return res.status(400).json({ error: "Title is required" });
-    }
+    const { bookId } = req.body;
+    const { cart } = req;
 
-    const user = await User.findById(req.user.userId);
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
+    if (!bookId) {
+      return res.status(400).json({ error: "bookId is required" });
     }
 
-    user.cart = user.cart.filter((item) => item.title !== title);
-    await User.updateById(req.user.userId, { cart: user.cart });
+    cart.items = cart.items.filter(
+      (item) => !item.bookId || item.bookId.toString() !== bookId.toString()
+    );
+    await cart.save();
 
     res.json({
       message: "Item removed from cart",
-      cart: user.cart,
+      ...cartResponse(cart),
     });
   } catch (error) {
     console.error("Remove from cart error:", error);
@@ -348,16 +601,24 @@ router.delete("/cart/remove", authenticateToken, async (req, res) => {
   }
 });
 
-// GET /api/users/cart - Get user's cart
-router.get("/cart", authenticateToken, async (req, res) => {
+// GET /api/users/cart - Get user's or guest's cart
+router.get("/cart", resolveCart, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
+    const { currency, error } = await ExchangeRate.resolve(req.query.currency);
+    if (error) {
+      return res.status(400).json({ error });
     }
 
+    const booksById = await loadCartBooks(req.cart.items);
+    const items = validateCart(req.cart.items, booksById, currency);
+
     res.json({
-      cart: user.cart || [],
+      ...cartResponse(req.cart),
+      cart: items,
+      currency: currency.code,
+      hasIssues: items.some(
+        (item) => item.unavailable || item.priceChanged || item.insufficientStock
+      ),
     });
   } catch (error) {
     console.error("Get cart error:", error);
@@ -365,14 +626,101 @@ router.get("/cart", authenticateToken, async (req, res) => {
   }
 });
 
-// POST /api/users/cart/clear - Clear user's cart
-router.post("/cart/clear", authenticateToken, async (req, res) => {
+// GET /api/users/cart/summary - Get cart totals priced like checkout
+router.get("/cart/summary", resolveCart, async (req, res) => {
   try {
-    await User.updateById(req.user.userId, { cart: [] });
+    const booksById = await loadCartBooks(req.cart.items);
+    const items = validateCart(req.cart.items, booksById);
+    const lines = items
+      .filter((item) => !item.unavailable)
+      .map((item) => ({
+        book: booksById.get(item.bookId.toString()),
+        quantity: item.quantity,
+      }));
+
+    // Preview the shipping method and coupon the same way checkout applies
+    // them; an address with shipping configured needs a method, as at checkout
+    const { couponCode, shippingMethodId, country, state, city } = req.query;
+    const { currency, error: currencyError } = await ExchangeRate.resolve(
+      req.query.currency
+    );
+    if (currencyError) {
+      return res.status(400).json({ error: currencyError });
+    }
+    const shippingAddress = { country, state, city };
+    const taxRules = await TaxRule.findActive();
+    const {
+      shippingMethod,
+      error: shippingError,
+      shippingMethods,
+    } = await ShippingMethod.resolveForAddress(
+      shippingAddress,
+      shippingMethodId
+    );
+    if (shippingError) {
+      return res.status(400).json({
+        error: shippingError,
+        ...(shippingMethods && { shippingMethods }),
+      });
+    }
+
+    let summary;
+    try {
+      summary = calculatePricing(lines, {
+        shippingMethod,
+        taxRules,
+        shippingAddress,
+        currency,
+      });
+    } catch (error) {
+      if (!(error instanceof PricingError)) throw error;
+      return res.status(400).json({ error: error.message });
+    }
+
+    let couponError = null;
+    if (couponCode) {
+      const coupon = await Coupon.findByCode(couponCode);
+      if (!coupon) {
+        couponError = "Invalid coupon code";
+      } else {
+        try {
+          summary = calculatePricing(lines, {
+            coupon,
+            shippingMethod,
+            taxRules,
+            shippingAddress,
+            currency,
+          });
+        } catch (error) {
+          if (!(error instanceof PricingError)) throw error;
+          couponError = error.message;
+        }
+      }
+    }
+
+    res.json({
+      ...(req.cart.token && { cartToken: req.cart.token }),
+      summary,
+      ...(couponError && { couponError }),
+      issues: items.filter(
+        (item) => item.unavailable || item.priceChanged || item.insufficientStock
+      ),
+    });
+  } catch (error) {
+    console.error("Cart summary error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /api/users/cart/clear - Clear user's or guest's cart
+router.post("/cart/clear", resolveCart, async (req, res) => {
+  try {
+    req.cart.items = [];
+    await req.cart.save();
 
     res.json({
       message: "Cart cleared successfully",
-      cart: [],
+      ...cartResponse(req.cart),
     });
   } catch (error) {
     console.error("Clear cart error:", error);
@@ -19,9 +19,12 @@ async function seedDatabase() {
         await db.collection('books').deleteMany({});
         await db.collection('users').deleteMany({});
         await db.collection('orders').deleteMany({});
+        await db.collection('counters').deleteMany({});
         
         console.log('Cleared existing data');
         
+        await db.collection('orders').createIndex({ orderNumber: 1 }, { unique: true });
+        
         // Create admin user
         const hashedPassword = await bcrypt.hash('admin123', 10);
         const adminUser = await db.collection('users').insertOne({
@@ -4,6 +4,7 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const { MongoClient, ObjectId } = require('mongodb');
+const { assertTransactionsSupported } = require('./config/db');
 
 const app = express();
 
@@ -11,14 +12,20 @@ const app = express();
 const corsOptions = {
   origin: ['http://localhost:3000', 'http://127.0.0.1:3000', 'http://localhost:5500', 'http://127.0.0.1:5500', 'https://booktree-ijgo.onrender.com', '*'],
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-Cart-Token'],
+  exposedHeaders: ['Idempotent-Replayed'],
   credentials: true
 };
 
 app.use(cors(corsOptions));
 
-// Parse JSON bodies
-app.use(express.json({ limit: '10mb' }));
+// Parse JSON bodies, keeping the raw bytes for webhook signature checks
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Add request logging middleware
@@ -38,6 +45,7 @@ const client = new MongoClient(uri);
 async function connectToMongo() {
     try {
         await client.connect();
+        await assertTransactionsSupported();
         console.log('Connected to MongoDB successfully');
     } catch (err) {
         console.error('Failed to connect to MongoDB:', err);
@@ -82,12 +90,31 @@ const userRoutes = require('./routes/user');
 const bookRoutes = require('./routes/books');
 const categoryRoutes = require('./routes/categories');
 const orderRoutes = require('./routes/orders');
+const couponRoutes = require('./routes/coupons');
+const paymentRoutes = require('./routes/payments');
+const returnRoutes = require('./routes/returns');
+const shippingRoutes = require('./routes/shipping');
+const taxRuleRoutes = require('./routes/taxRules');
+const analyticsRoutes = require('./routes/analytics');
+const giftCardRoutes = require('./routes/giftCards');
+const storeCreditRoutes = require('./routes/storeCredit');
+const currencyRoutes = require('./routes/currencies');
+const { startJobs } = require('./jobs');
 
 // Use routes
 app.use('/api/users', userRoutes);
 app.use('/api/books', bookRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/tax-rules', taxRuleRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/gift-cards', giftCardRoutes);
+app.use('/api/store-credit', storeCreditRoutes);
+app.use('/api/currencies', currencyRoutes);
 
 app.get('/', (req, res) => {
     res.send('Server is running');
@@ -151,20 +178,89 @@ connectToMongo().then(() => {
         console.log(`  PUT    /api/users/cart/update        - Update cart item`);
         console.log(`  DELETE /api/users/cart/remove        - Remove item from cart`);
         console.log(`  GET    /api/users/cart               - Get user's cart`);
+        console.log(`  GET    /api/users/cart/summary       - Get cart totals`);
         console.log(`  POST   /api/users/cart/clear         - Clear cart`);
         
         console.log(`\n🛒 ORDER ROUTES:`);
-        console.log(`  GET    /api/orders                   - Get orders`);
+        console.log(`  GET    /api/orders                   - Get and search orders`);
         console.log(`  GET    /api/orders/:id               - Get order by ID`);
+        console.log(`  GET    /api/orders/:id/invoice       - Get order invoice (PDF or HTML)`);
         console.log(`  GET    /api/orders/stats             - Get order statistics`);
+        console.log(`  GET    /api/orders/export            - Export orders as CSV or NDJSON (Admin)`);
+        console.log(`  GET    /api/orders/number/:orderNumber - Get order by order number`);
         console.log(`  GET    /api/orders/user/:userId      - Get user orders (Admin)`);
         console.log(`  POST   /api/orders                   - Create order`);
         console.log(`  POST   /api/orders/from-cart         - Create order from cart`);
-        console.log(`  PUT    /api/orders/:id               - Update order (Admin)`);
+        console.log(`  POST   /api/orders/:id/reorder       - Add order items to cart`);
+        console.log(`  GET    /api/orders/:id/messages      - Get order message thread`);
+        console.log(`  POST   /api/orders/:id/messages      - Post order message or internal note`);
+        console.log(`  PUT    /api/orders/:id               - Edit order details and items (Admin)`);
         console.log(`  PUT    /api/orders/:id/status        - Update order status`);
+        console.log(`  POST   /api/orders/:id/refunds       - Refund order (Admin)`);
+        console.log(`  POST   /api/orders/:id/shipments     - Create shipment (Admin)`);
+        console.log(`  PUT    /api/orders/:id/shipments/:shipmentId - Update shipment (Admin)`);
+        
+        console.log(`\n↩️  RETURN ROUTES:`);
+        console.log(`  GET    /api/returns                  - Get returns`);
+        console.log(`  GET    /api/returns/:id              - Get return by ID`);
+        console.log(`  POST   /api/returns                  - Request return`);
+        console.log(`  PUT    /api/returns/:id/approve      - Approve return (Admin)`);
+        console.log(`  PUT    /api/returns/:id/reject       - Reject return (Admin)`);
+        console.log(`  PUT    /api/returns/:id/receive      - Receive and restock return (Admin)`);
+        console.log(`  POST   /api/returns/:id/refund       - Refund return (Admin)`);
+        
+        console.log(`\n🏷️  COUPON ROUTES:`);
+        console.log(`  GET    /api/coupons                  - Get all coupons (Admin)`);
+        console.log(`  GET    /api/coupons/:id              - Get coupon by ID (Admin)`);
+        console.log(`  POST   /api/coupons                  - Create coupon (Admin)`);
+        console.log(`  PUT    /api/coupons/:id              - Update coupon (Admin)`);
+        console.log(`  DELETE /api/coupons/:id              - Delete coupon (Admin)`);
+        
+        console.log(`\n💳 PAYMENT ROUTES:`);
+        console.log(`  POST   /api/payments/webhook/:provider - Payment provider webhook`);
+        console.log(`  POST   /api/payments/orders/:orderId/intent - Create payment intent for order`);
+        console.log(`  POST   /api/payments/mock/:intentId/complete - Settle mock payment (Admin, dev only)`);
+        
+        console.log(`\n🚚 SHIPPING ROUTES:`);
+        console.log(`  POST   /api/shipping/quote           - Quote shipping for items and address`);
+        console.log(`  GET    /api/shipping/zones           - Get shipping zones (Admin)`);
+        console.log(`  POST   /api/shipping/zones           - Create shipping zone (Admin)`);
+        console.log(`  PUT    /api/shipping/zones/:id       - Update shipping zone (Admin)`);
+        console.log(`  DELETE /api/shipping/zones/:id       - Delete shipping zone (Admin)`);
+        console.log(`  GET    /api/shipping/methods         - Get shipping methods (Admin)`);
+        console.log(`  POST   /api/shipping/methods         - Create shipping method (Admin)`);
+        console.log(`  PUT    /api/shipping/methods/:id     - Update shipping method (Admin)`);
+        console.log(`  DELETE /api/shipping/methods/:id     - Delete shipping method (Admin)`);
+        
+        console.log(`\n🧾 TAX ROUTES:`);
+        console.log(`  GET    /api/tax-rules                - Get tax rules (Admin)`);
+        console.log(`  POST   /api/tax-rules                - Create tax rule (Admin)`);
+        console.log(`  PUT    /api/tax-rules/:id            - Update tax rule (Admin)`);
+        console.log(`  DELETE /api/tax-rules/:id            - Delete tax rule (Admin)`);
+        
+        console.log(`\n📈 ANALYTICS ROUTES:`);
+        console.log(`  GET    /api/analytics/sales          - Sales report (Admin)`);
+        
+        console.log(`\n🎁 GIFT CARD & STORE CREDIT ROUTES:`);
+        console.log(`  GET    /api/gift-cards/balance/:code - Check gift card balance`);
+        console.log(`  POST   /api/gift-cards/redeem        - Redeem gift card into store credit`);
+        console.log(`  GET    /api/gift-cards               - Get gift cards (Admin)`);
+        console.log(`  POST   /api/gift-cards               - Issue gift cards (Admin)`);
+        console.log(`  PUT    /api/gift-cards/:id           - Update gift card (Admin)`);
+        console.log(`  GET    /api/store-credit             - Get own store credit and ledger`);
+        console.log(`  GET    /api/store-credit/users/:userId - Get user store credit (Admin)`);
+        console.log(`  POST   /api/store-credit/users/:userId/adjust - Adjust user store credit (Admin)`);
+        
+        console.log(`\n💱 CURRENCY ROUTES:`);
+        console.log(`  GET    /api/currencies               - Get base currency and exchange rates`);
+        console.log(`  PUT    /api/currencies/:code         - Set exchange rate (Admin)`);
+        console.log(`  DELETE /api/currencies/:code         - Delete exchange rate (Admin)`);
         
         console.log(`\n🔧 SYSTEM ROUTES:`);
         console.log(`  GET    /                             - Server status`);
         console.log(`  GET    /health                       - Health check`);
     });
+
+    // Periodic background jobs, e.g. cancelling stale unpaid orders
+    startJobs();
 });
\ No newline at end of file
@@ -0,0 +1,85 @@
+// Catalog prices are kept in the base currency. Other currencies are priced
+// from an exchange rate (units of the currency per one unit of the base
+// currency) unless a book sets its own price for that currency.
+const { DEFAULT_CURRENCY } = require('./payments');
+const { roundMoney } = require('./money');
+
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || DEFAULT_CURRENCY).toUpperCase();
+
+// ISO 4217 style code such as "USD", or null when the value is not one
+function normalizeCurrency(code) {
+    const normalized = String(code || '').trim().toUpperCase();
+    return /^[A-Z]{3}$/.test(normalized) ? normalized : null;
+}
+
+// Price of a book in the currency: its own override if it has one,
+// otherwise the base price converted at the rate
+function localizePrice(book, currency) {
+    const override = book.prices && book.prices[currency.code];
+    if (override !== undefined && override !== null) return Number(override);
+    return roundMoney(book.price * currency.rate);
+}
+
+// Copy of a book priced in the currency, keeping the base price alongside
+function localizeBook(book, currency) {
+    return {
+        ...book,
+        price: localizePrice(book, currency),
+        basePrice: book.price,
+        currency: currency.code
+    };
+}
+
+// Copy of a coupon whose money amounts are in the currency
+function localizeCoupon(coupon, currency) {
+    if (!coupon || currency.rate === 1) return coupon;
+    return {
+        ...coupon,
+        value: coupon.type === 'fixed' ? roundMoney(coupon.value * currency.rate) : coupon.value,
+        minimumSpend: coupon.minimumSpend ? roundMoney(coupon.minimumSpend * currency.rate) : coupon.minimumSpend
+    };
+}
+
+// Copy of a shipping method whose rates and free shipping threshold are in the currency
+function localizeShippingMethod(method, currency) {
+    if (!method || currency.rate === 1) return method;
+    return {
+        ...method,
+        freeShippingThreshold: method.freeShippingThreshold
+            ? roundMoney(method.freeShippingThreshold * currency.rate)
+            : method.freeShippingThreshold,
+        rates: (method.rates || []).map(tier => ({ ...tier, amount: roundMoney(tier.amount * currency.rate) }))
+    };
+}
+
+// Validates a book's per-currency price overrides, e.g. { USD: 12.5 }.
+// Returns { prices } or { error }.
+function parsePriceOverrides(prices) {
+    if (prices === null) return { prices: {} };
+    if (typeof prices !== 'object' || Array.isArray(prices)) {
+        return { error: 'prices must be an object of currency codes to prices' };
+    }
+
+    const parsed = {};
+    for (const [code, price] of Object.entries(prices)) {
+        const currency = normalizeCurrency(code);
+        if (!currency || currency === BASE_CURRENCY) {
+            return { error: `Invalid price currency: ${code}` };
+        }
+        if (!(Number(price) > 0)) {
+            return { error: `Price for ${currency} must be greater than 0` };
+        }
+        parsed[currency] = Number(price);
+    }
+    return { prices: parsed };
+}
+
+module.exports = {
+    BASE_CURRENCY,
+    normalizeCurrency,
+    localizePrice,
+    localizeBook,
+    localizeCoupon,
+    localizeShippingMethod,
+    parsePriceOverrides
+};
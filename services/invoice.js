@@ -0,0 +1,228 @@
+const PDFDocument = require('pdfkit');
+
+// Seller details printed on every invoice
+const SELLER = {
+    name: process.env.SELLER_NAME || 'BookTree',
+    address: process.env.SELLER_ADDRESS || '',
+    email: process.env.SELLER_EMAIL || '',
+    phone: process.env.SELLER_PHONE || '',
+    taxId: process.env.SELLER_TAX_ID || ''
+};
+
+function formatMoney(amount, currency) {
+    return `${currency} ${Number(amount || 0).toFixed(2)}`;
+}
+
+function formatDate(date) {
+    return date ? new Date(date).toISOString().slice(0, 10) : '';
+}
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function addressLines(address = {}) {
+    return [address.name, address.address, [address.city, address.state].filter(Boolean).join(', '), address.country, address.phone]
+        .filter(Boolean);
+}
+
+// Collects everything an invoice shows from an order, in display order.
+// totals add up to totalAmount; inclusive tax is only noted, since the prices
+// already contain it. payments follow the total and say how it was settled.
+function buildInvoice(order, customer = {}) {
+    const currency = order.currency || (order.payment && order.payment.currency) || process.env.PAYMENT_CURRENCY || 'NGN';
+    const totals = [['Subtotal', order.subtotal !== undefined ? order.subtotal : order.totalAmount]];
+    for (const discount of order.discounts || []) {
+        totals.push([`Discount${discount.code ? ` (${discount.code})` : ''}`, -discount.amount]);
+    }
+    if (order.shippingAmount) {
+        totals.push([`Shipping${order.shippingMethod ? ` (${order.shippingMethod.name})` : ''}`, order.shippingAmount]);
+    }
+    if (order.taxAmount && order.taxMode !== 'inclusive') {
+        totals.push(['Tax', order.taxAmount]);
+    }
+
+    const storeCreditApplied = order.storeCreditApplied || 0;
+    const amountDue = order.amountDue !== undefined ? order.amountDue : order.totalAmount;
+    const settled = ['paid', 'refunded'].includes(order.paymentStatus);
+    const payments = [];
+    if (storeCreditApplied) {
+        payments.push(['Paid with store credit', storeCreditApplied]);
+    }
+    if (amountDue && settled) {
+        payments.push([`Paid${order.paymentMethod ? ` (${order.paymentMethod})` : ''}`, amountDue]);
+    }
+    if (order.refundedAmount) {
+        payments.push(['Refunded', order.refundedAmount]);
+    }
+    payments.push(['Balance due', settled ? 0 : amountDue]);
+
+    return {
+        seller: SELLER,
+        invoiceNumber: order.invoiceNumber,
+        invoiceDate: formatDate(order.invoicedAt),
+        orderNumber: order.orderNumber,
+        orderDate: formatDate(order.createdAt),
+        customer: {
+            name: customer.name || '',
+            email: customer.email || ''
+        },
+        shippingAddress: addressLines(order.shippingAddress),
+        currency,
+        items: (order.items || []).map(item => ({
+            title: item.title,
+            author: item.author,
+            quantity: item.quantity,
+            price: item.price,
+            taxRate: item.taxRate || 0,
+            subtotal: item.subtotal
+        })),
+        totals,
+        totalAmount: order.totalAmount,
+        includedTax: order.taxMode === 'inclusive' ? order.taxAmount || 0 : 0,
+        payments,
+        paymentMethod: order.paymentMethod,
+        paymentStatus: order.paymentStatus || 'unpaid'
+    };
+}
+
+function renderInvoiceHtml(invoice) {
+    const money = amount => escapeHtml(formatMoney(amount, invoice.currency));
+    const rows = invoice.items.map(item => `
+            <tr>
+                <td>${escapeHtml(item.title)}<br><small>${escapeHtml(item.author)}</small></td>
+                <td class="num">${escapeHtml(item.quantity)}</td>
+                <td class="num">${money(item.price)}</td>
+                <td class="num">${escapeHtml(item.taxRate)}%</td>
+                <td class="num">${money(item.subtotal)}</td>
+            </tr>`).join('');
+    const totals = invoice.totals.map(([label, amount]) => `
+            <tr><td colspan="4">${escapeHtml(label)}</td><td class="num">${money(amount)}</td></tr>`).join('');
+    const includedTax = invoice.includedTax ? `
+            <tr><td colspan="5"><small>Prices include tax of ${money(invoice.includedTax)}</small></td></tr>` : '';
+    const payments = invoice.payments.map(([label, amount]) => `
+            <tr><td colspan="4">${escapeHtml(label)}</td><td class="num">${money(amount)}</td></tr>`).join('');
+    const seller = [invoice.seller.address, invoice.seller.email, invoice.seller.phone,
+        invoice.seller.taxId && `Tax ID: ${invoice.seller.taxId}`].filter(Boolean).map(escapeHtml).join('<br>');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>Invoice ${escapeHtml(invoice.invoiceNumber)}</title>
+    <style>
+        body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 40px; }
+        table { width: 100%; border-collapse: collapse; margin-top: 24px; }
+        th, td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; vertical-align: top; }
+        .num { text-align: right; }
+        .total td { font-weight: bold; border-top: 2px solid #222; }
+        .meta { display: flex; justify-content: space-between; margin-top: 24px; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(invoice.seller.name)}</h1>
+    <p>${seller}</p>
+    <div class="meta">
+        <div>
+            <h2>Invoice ${escapeHtml(invoice.invoiceNumber)}</h2>
+            <p>Invoice date: ${escapeHtml(invoice.invoiceDate)}<br>
+            Order: ${escapeHtml(invoice.orderNumber)} (${escapeHtml(invoice.orderDate)})<br>
+            Payment: ${escapeHtml(invoice.paymentMethod)}, ${escapeHtml(invoice.paymentStatus)}</p>
+        </div>
+        <div>
+            <h3>Bill to</h3>
+            <p>${[invoice.customer.name, invoice.customer.email, ...invoice.shippingAddress].filter(Boolean).map(escapeHtml).join('<br>')}</p>
+        </div>
+    </div>
+    <table>
+        <thead>
+            <tr><th>Item</th><th class="num">Qty</th><th class="num">Price</th><th class="num">Tax</th><th class="num">Amount</th></tr>
+        </thead>
+        <tbody>${rows}${totals}
+            <tr class="total"><td colspan="4">Total</td><td class="num">${money(invoice.totalAmount)}</td></tr>${includedTax}${payments}
+        </tbody>
+    </table>
+</body>
+</html>
+`;
+}
+
+// Writes the invoice as a PDF to a writable stream (e.g. the response)
+function renderInvoicePdf(invoice, stream) {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const money = amount => formatMoney(amount, invoice.currency);
+    doc.pipe(stream);
+
+    doc.fontSize(20).text(invoice.seller.name);
+    doc.fontSize(9);
+    [invoice.seller.address, invoice.seller.email, invoice.seller.phone, invoice.seller.taxId && `Tax ID: ${invoice.seller.taxId}`]
+        .filter(Boolean)
+        .forEach(line => doc.text(line));
+
+    doc.moveDown();
+    doc.fontSize(14).text(`Invoice ${invoice.invoiceNumber}`);
+    doc.fontSize(10)
+        .text(`Invoice date: ${invoice.invoiceDate}`)
+        .text(`Order: ${invoice.orderNumber} (${invoice.orderDate})`)
+        .text(`Payment: ${invoice.paymentMethod || ''}, ${invoice.paymentStatus}`);
+
+    doc.moveDown();
+    doc.fontSize(11).text('Bill to');
+    doc.fontSize(10);
+    [invoice.customer.name, invoice.customer.email, ...invoice.shippingAddress]
+        .filter(Boolean)
+        .forEach(line => doc.text(line));
+
+    // Line items as fixed columns
+    const columns = [50, 300, 350, 430, 480];
+    const row = (cells, options = {}) => {
+        const y = doc.y;
+        cells.forEach((cell, index) => {
+            doc.text(String(cell), columns[index], y, {
+                width: index === 0 ? 240 : 70,
+                align: index === 0 ? 'left' : 'right',
+                ...options
+            });
+        });
+        doc.moveDown(0.5);
+    };
+
+    doc.moveDown();
+    doc.font('Helvetica-Bold');
+    row(['Item', 'Qty', 'Price', 'Tax', 'Amount']);
+    doc.font('Helvetica');
+    for (const item of invoice.items) {
+        row([item.title, item.quantity, money(item.price), `${item.taxRate}%`, money(item.subtotal)]);
+    }
+
+    doc.moveDown();
+    for (const [label, amount] of invoice.totals) {
+        row([label, '', '', '', money(amount)]);
+    }
+    doc.font('Helvetica-Bold');
+    row(['Total', '', '', '', money(invoice.totalAmount)]);
+    doc.font('Helvetica');
+    if (invoice.includedTax) {
+        doc.fontSize(9);
+        row([`Prices include tax of ${money(invoice.includedTax)}`, '', '', '', '']);
+        doc.fontSize(10);
+    }
+
+    doc.moveDown();
+    for (const [label, amount] of invoice.payments) {
+        row([label, '', '', '', money(amount)]);
+    }
+
+    doc.end();
+}
+
+module.exports = {
+    buildInvoice,
+    renderInvoiceHtml,
+    renderInvoicePdf
+};
@@ -0,0 +1,8 @@
+// Rounds a money amount to two decimal places
+function roundMoney(amount) {
+    return Math.round((Number(amount) + Number.EPSILON) * 100) / 100;
+}
+
+module.exports = {
+    roundMoney
+};
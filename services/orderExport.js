@@ -0,0 +1,128 @@
+// Column definitions and formatting for order exports. Each column reads a
+// value from an order (and, for line item rows, the item being written).
+const { DEFAULT_CURRENCY } = require('./payments');
+
+const ORDER_COLUMNS = {
+    orderId: ({ order }) => String(order._id),
+    orderNumber: ({ order }) => order.orderNumber,
+    invoiceNumber: ({ order }) => order.invoiceNumber || '',
+    createdAt: ({ order }, context) => formatDate(order.createdAt, context.timezone),
+    status: ({ order }) => order.status,
+    paymentMethod: ({ order }) => order.paymentMethod || '',
+    paymentStatus: ({ order }) => order.paymentStatus || '',
+    customerId: ({ order }) => order.userId ? String(order.userId) : '',
+    customerName: ({ customer }) => customer ? customer.name : '',
+    customerEmail: ({ customer }) => customer ? customer.email : '',
+    itemCount: ({ order }) => (order.items || []).reduce((sum, item) => sum + item.quantity, 0),
+    subtotal: ({ order }) => order.subtotal !== undefined ? order.subtotal : order.totalAmount,
+    couponCode: ({ order }) => order.couponCode || '',
+    discountTotal: ({ order }) => order.discountTotal || 0,
+    shippingAmount: ({ order }) => order.shippingAmount || 0,
+    taxAmount: ({ order }) => order.taxAmount || 0,
+    totalAmount: ({ order }) => order.totalAmount,
+    refundedAmount: ({ order }) => order.refundedAmount || 0,
+    storeCreditApplied: ({ order }) => order.storeCreditApplied || 0,
+    amountDue: ({ order }) => order.amountDue !== undefined ? order.amountDue : order.totalAmount,
+    currency: ({ order }) => order.currency || (order.payment && order.payment.currency) || DEFAULT_CURRENCY,
+    shippingCity: ({ order }) => (order.shippingAddress && order.shippingAddress.city) || '',
+    shippingState: ({ order }) => (order.shippingAddress && order.shippingAddress.state) || '',
+    shippingCountry: ({ order }) => (order.shippingAddress && order.shippingAddress.country) || ''
+};
+
+const ITEM_COLUMNS = {
+    ...ORDER_COLUMNS,
+    bookId: ({ item }) => String(item.bookId),
+    title: ({ item }) => item.title,
+    author: ({ item }) => item.author,
+    quantity: ({ item }) => item.quantity,
+    price: ({ item }) => item.price,
+    lineSubtotal: ({ item }) => item.subtotal,
+    taxRate: ({ item }) => item.taxRate || 0,
+    lineTax: ({ item }) => item.taxAmount || 0
+};
+
+const DEFAULT_COLUMNS = {
+    order: ['orderNumber', 'createdAt', 'status', 'customerName', 'customerEmail', 'paymentMethod', 'paymentStatus',
+        'itemCount', 'subtotal', 'discountTotal', 'shippingAmount', 'taxAmount', 'totalAmount', 'refundedAmount', 'currency'],
+    item: ['orderNumber', 'createdAt', 'status', 'customerEmail', 'bookId', 'title', 'quantity', 'price', 'lineSubtotal', 'lineTax']
+};
+
+// Resolves the requested comma-separated columns for a row type.
+// Returns { columns } or { error } naming the unknown columns.
+function resolveColumns(rows, requested) {
+    const available = rows === 'item' ? ITEM_COLUMNS : ORDER_COLUMNS;
+    if (!requested) return { columns: DEFAULT_COLUMNS[rows] };
+
+    const columns = String(requested).split(',').map(column => column.trim()).filter(Boolean);
+    const unknown = columns.filter(column => !available[column]);
+    if (columns.length === 0 || unknown.length > 0) {
+        return { error: `Unknown columns: ${unknown.join(', ') || '(none)'}. Available: ${Object.keys(available).join(', ')}` };
+    }
+    return { columns };
+}
+
+// Turns an order into its export rows as { column: value } objects
+function toRows(rows, columns, order, customer, context) {
+    const available = rows === 'item' ? ITEM_COLUMNS : ORDER_COLUMNS;
+    const sources = rows === 'item'
+        ? (order.items || []).map(item => ({ order, customer, item }))
+        : [{ order, customer }];
+
+    return sources.map(source => {
+        const row = {};
+        for (const column of columns) {
+            row[column] = available[column](source, context);
+        }
+        return row;
+    });
+}
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Formats a date as "YYYY-MM-DD HH:mm:ss" in the given timezone
+function formatDate(date, timezone) {
+    if (!date) return '';
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(new Date(date)).forEach(part => {
+        parts[part.type] = part.value;
+    });
+    return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+// Quotes a CSV field when needed. Text starting with a formula character is
+// prefixed so spreadsheets show it instead of evaluating it.
+function csvField(value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'number') return String(value);
+
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+    return `${values.map(csvField).join(',')}\r\n`;
+}
+
+module.exports = {
+    resolveColumns,
+    toRows,
+    isValidTimezone,
+    csvLine
+};
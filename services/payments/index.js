@@ -0,0 +1,54 @@
+// Payment provider registry.
+//
+// A provider is an object with:
+//   name                                   - identifier stored on orders
+//   createIntent({ amount, currency, orderId, orderNumber })
+//                                          - resolves to { id, status, amount, currency, clientSecret }
+//   refund({ intentId, amount, currency }) - resolves to { id, intentId, amount, status }
+//   cancelIntent({ intentId })             - resolves to { id, status } once the intent can no
+//                                            longer be paid, or throws if it already was
+//   verifyWebhook(rawBody, headers)        - returns the parsed event { id, type, data }
+//                                            or throws if the signature is invalid
+//
+// Webhook events have a type of payment.authorized, payment.succeeded,
+// payment.failed or payment.refunded, and data.intentId naming the intent.
+const mockProvider = require('./mockProvider');
+
+const PAYMENT_STATUSES = ['unpaid', 'authorized', 'paid', 'refunded', 'failed'];
+
+// Payment statuses a provider event may move an order to from each status.
+// Events arriving late or out of order never undo a settled payment.
+const PAYMENT_TRANSITIONS = {
+    unpaid: ['authorized', 'paid', 'failed'],
+    failed: ['authorized', 'paid', 'failed'],
+    authorized: ['paid', 'failed'],
+    paid: ['refunded'],
+    refunded: []
+};
+const DEFAULT_PROVIDER = process.env.PAYMENT_PROVIDER || 'mock';
+const DEFAULT_CURRENCY = process.env.PAYMENT_CURRENCY || 'NGN';
+
+const providers = new Map();
+
+function registerProvider(provider) {
+    providers.set(provider.name, provider);
+}
+
+// Returns the named provider, or the configured default when no name is given
+function getProvider(name = DEFAULT_PROVIDER) {
+    const provider = providers.get(name);
+    if (!provider) {
+        throw new Error(`Unknown payment provider: ${name}`);
+    }
+    return provider;
+}
+
+registerProvider(mockProvider);
+
+module.exports = {
+    PAYMENT_STATUSES,
+    PAYMENT_TRANSITIONS,
+    DEFAULT_CURRENCY,
+    registerProvider,
+    getProvider
+};
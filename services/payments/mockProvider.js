@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+
+// Local provider that never leaves the process, for development and tests.
+// Intents only change state when a signed event is delivered to the webhook,
+// which createEvent/sign can produce offline.
+const WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || 'mock-webhook-secret';
+
+function randomId(prefix) {
+    return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function sign(rawBody) {
+    return crypto.createHmac('sha256', WEBHOOK_SECRET).update(rawBody).digest('hex');
+}
+
+const mockProvider = {
+    name: 'mock',
+
+    async createIntent({ amount, currency }) {
+        const id = randomId('mock_pi');
+        return {
+            id,
+            status: 'requires_payment',
+            amount,
+            currency,
+            clientSecret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`
+        };
+    },
+
+    async refund({ intentId, amount }) {
+        return {
+            id: randomId('mock_re'),
+            intentId,
+            amount,
+            status: 'succeeded'
+        };
+    },
+
+    async cancelIntent({ intentId }) {
+        return {
+            id: intentId,
+            status: 'cancelled'
+        };
+    },
+
+    verifyWebhook(rawBody, headers) {
+        const signature = String(headers['x-payment-signature'] || '');
+        const expected = sign(rawBody);
+        if (signature.length !== expected.length ||
+            !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+            throw new Error('Invalid webhook signature');
+        }
+        return JSON.parse(rawBody.toString());
+    },
+
+    createEvent(type, data) {
+        return {
+            id: randomId('mock_evt'),
+            type,
+            data,
+            createdAt: new Date().toISOString()
+        };
+    },
+
+    sign
+};
+
+module.exports = mockProvider;
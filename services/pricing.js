@@ -0,0 +1,181 @@
+// Order pricing shared by checkout and the cart summary, so the total a
+// customer sees before checkout is exactly the totalAmount of the order.
+const { calculateShippingCost } = require('./shipping');
+const { TAX_MODE, findTaxRule, calculateTax } = require('./tax');
+const { roundMoney } = require('./money');
+const { BASE_CURRENCY, localizePrice, localizeCoupon, localizeShippingMethod } = require('./currency');
+
+// Raised when an order cannot be priced as requested, e.g. an inapplicable
+// coupon or a shipping method that cannot carry the order
+class PricingError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PricingError';
+    }
+}
+
+// Whether a coupon limited to certain books or categories covers a book.
+// Coupons without a scope cover every book.
+function isInCouponScope(coupon, book) {
+    const bookIds = (coupon.bookIds || []).map(String);
+    const categoryIds = (coupon.categoryIds || []).map(String);
+    if (bookIds.length === 0 && categoryIds.length === 0) return true;
+
+    return bookIds.includes(String(book._id)) ||
+        (book.category !== undefined && book.category !== null && categoryIds.includes(String(book.category)));
+}
+
+// Returns why a coupon cannot be applied to the priced items, or null if it can.
+// Usage limits need the database and are checked when the coupon is redeemed.
+function getCouponError(coupon, items, lines, now = new Date()) {
+    if (!coupon.isActive) return 'Coupon is not active';
+    if (coupon.startsAt && now < new Date(coupon.startsAt)) return 'Coupon is not valid yet';
+    if (coupon.endsAt && now > new Date(coupon.endsAt)) return 'Coupon has expired';
+
+    const subtotal = items.reduce((sum, item) => sum + item.subtotal, 0);
+    if (coupon.minimumSpend && subtotal < coupon.minimumSpend) {
+        return `A minimum spend of ${coupon.minimumSpend} is required for this coupon`;
+    }
+
+    if (!lines.some(({ book }) => isInCouponScope(coupon, book))) {
+        return 'Coupon does not apply to any item in this order';
+    }
+    return null;
+}
+
+// Computes the discount line a coupon gives on the priced items
+function calculateCouponDiscount(coupon, items, lines, shippingAmount) {
+    const eligibleSubtotal = items
+        .filter((item, index) => isInCouponScope(coupon, lines[index].book))
+        .reduce((sum, item) => sum + item.subtotal, 0);
+
+    let amount = 0;
+    switch (coupon.type) {
+        case 'percentage':
+            amount = eligibleSubtotal * coupon.value / 100;
+            break;
+        case 'fixed':
+            amount = Math.min(coupon.value, eligibleSubtotal);
+            break;
+        case 'free_shipping':
+            amount = shippingAmount;
+            break;
+    }
+
+    return {
+        couponId: coupon._id,
+        code: coupon.code,
+        type: coupon.type,
+        description: coupon.description || '',
+        amount: roundMoney(amount)
+    };
+}
+
+// Spreads a coupon's merchandise discount over the lines it covers in
+// proportion to their subtotals, so each line is taxed on what is paid for it
+function allocateDiscount(coupon, discount, items, lines) {
+    const shares = items.map(() => 0);
+    if (coupon.type === 'free_shipping' || discount.amount === 0) return shares;
+
+    const eligible = items
+        .map((item, index) => index)
+        .filter(index => isInCouponScope(coupon, lines[index].book));
+    const eligibleSubtotal = eligible.reduce((sum, index) => sum + items[index].subtotal, 0);
+
+    for (const index of eligible) {
+        shares[index] = eligibleSubtotal > 0 ? discount.amount * items[index].subtotal / eligibleSubtotal : 0;
+    }
+    return shares;
+}
+
+// Prices a list of { book, quantity } lines using the books' catalog prices,
+// charging the given shipping method, applying the given coupon and taxing
+// each line by the rule for its category and the shipping address.
+// Everything is priced in the given { code, rate } currency.
+// Returns the order line items and the totals stored on the order.
+function calculatePricing(lines, { coupon = null, shippingMethod = null, taxRules = [], shippingAddress = {}, currency = { code: BASE_CURRENCY, rate: 1 }, now = new Date() } = {}) {
+    lines = lines.map(({ book, quantity }) => ({ book: { ...book, price: localizePrice(book, currency) }, quantity }));
+    coupon = localizeCoupon(coupon, currency);
+    shippingMethod = localizeShippingMethod(shippingMethod, currency);
+
+    const items = lines.map(({ book, quantity }) => ({
+        bookId: book._id,
+        title: book.title,
+        author: book.author,
+        price: book.price,
+        quantity,
+        subtotal: roundMoney(book.price * quantity),
+        // Gift card products issue a card of this value per unit once the order is confirmed
+        ...(book.giftCardValue > 0 && { giftCardValue: book.giftCardValue })
+    }));
+
+    const subtotal = roundMoney(items.reduce((sum, item) => sum + item.subtotal, 0));
+
+    let shippingAmount = 0;
+    if (shippingMethod) {
+        const cost = calculateShippingCost(shippingMethod, lines);
+        if (cost === null) {
+            throw new PricingError(`Shipping method "${shippingMethod.name}" cannot deliver this order`);
+        }
+        shippingAmount = roundMoney(cost);
+    }
+
+    const discounts = [];
+    let lineDiscounts = items.map(() => 0);
+    if (coupon) {
+        const couponError = getCouponError(coupon, items, lines, now);
+        if (couponError) throw new PricingError(couponError);
+        const discount = calculateCouponDiscount(coupon, items, lines, shippingAmount);
+        discounts.push(discount);
+        lineDiscounts = allocateDiscount(coupon, discount, items, lines);
+    }
+
+    const discountTotal = roundMoney(discounts.reduce((sum, discount) => sum + discount.amount, 0));
+
+    // Per-line tax on the discounted line amount, grouped per rule for the order
+    const taxBreakdown = new Map();
+    items.forEach((item, index) => {
+        const rule = findTaxRule(taxRules, lines[index].book, shippingAddress);
+        const taxableAmount = item.subtotal - lineDiscounts[index];
+        const rate = rule ? Number(rule.rate) || 0 : 0;
+
+        item.discountAmount = roundMoney(lineDiscounts[index]);
+        item.taxRuleId = rule ? rule._id : null;
+        item.taxRate = rate;
+        item.taxAmount = roundMoney(calculateTax(taxableAmount, rate));
+
+        if (!rule) return;
+        const key = String(rule._id);
+        const entry = taxBreakdown.get(key) || { ruleId: rule._id, name: rule.name, rate, taxableAmount: 0, taxAmount: 0 };
+        entry.taxableAmount = roundMoney(entry.taxableAmount + taxableAmount);
+        entry.taxAmount = roundMoney(entry.taxAmount + item.taxAmount);
+        taxBreakdown.set(key, entry);
+    });
+    const taxAmount = roundMoney(items.reduce((sum, item) => sum + item.taxAmount, 0));
+
+    // Inclusive prices already contain the tax, so it is not added again
+    const addedTax = TAX_MODE === 'inclusive' ? 0 : taxAmount;
+
+    return {
+        currency: currency.code,
+        exchangeRate: currency.rate,
+        items,
+        subtotal,
+        discounts,
+        discountTotal,
+        taxMode: TAX_MODE,
+        taxAmount,
+        taxBreakdown: [...taxBreakdown.values()],
+        shippingAmount,
+        shippingMethod: shippingMethod
+            ? { methodId: shippingMethod._id, name: shippingMethod.name, cost: shippingAmount }
+            : null,
+        totalAmount: roundMoney(subtotal - discountTotal + addedTax + shippingAmount)
+    };
+}
+
+module.exports = {
+    PricingError,
+    roundMoney,
+    calculatePricing
+};
@@ -0,0 +1,131 @@
+// In-process scheduler for periodic jobs. Every instance of the app runs the
+// same timers; a lock document per job in the job_locks collection makes sure
+// only one instance runs a job at a time and at most once per interval.
+const crypto = require('crypto');
+const os = require('os');
+const { getCollection } = require('../config/db');
+
+// Identifies this process as the holder of a job lock
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// Helper function to get job lock collection
+async function getJobLockCollection() {
+    return getCollection('job_locks');
+}
+
+class JobScheduler {
+    constructor({ instanceId = INSTANCE_ID } = {}) {
+        this.instanceId = instanceId;
+        this.jobs = new Map();
+        this.timers = new Map();
+    }
+
+    // Adds a job. run() receives { name, startedAt } and may return a summary
+    // that is stored with the job's lock. lockMs bounds how long a crashed
+    // run can block the job; it defaults to the interval.
+    register({ name, intervalMs, run, lockMs }) {
+        if (this.jobs.has(name)) {
+            throw new Error(`Job "${name}" is already registered`);
+        }
+        if (!(intervalMs > 0) || typeof run !== 'function') {
+            throw new Error(`Job "${name}" needs a positive intervalMs and a run function`);
+        }
+        this.jobs.set(name, { name, intervalMs, run, lockMs: lockMs || intervalMs });
+        return this;
+    }
+
+    start() {
+        for (const job of this.jobs.values()) {
+            if (this.timers.has(job.name)) continue;
+            const timer = setInterval(() => this.runJob(job.name), job.intervalMs);
+            // Timers alone should not keep the process alive
+            timer.unref();
+            this.timers.set(job.name, timer);
+            setImmediate(() => this.runJob(job.name));
+        }
+        return this;
+    }
+
+    stop() {
+        for (const timer of this.timers.values()) clearInterval(timer);
+        this.timers.clear();
+    }
+
+    // Takes the job's lock if the job is due and nobody holds it.
+    // Returns false when another instance runs it or ran it recently.
+    async acquire(job, now) {
+        const locks = await getJobLockCollection();
+        try {
+            const lock = await locks.findOneAndUpdate(
+                {
+                    _id: job.name,
+                    nextRunAt: { $lte: now },
+                    lockedUntil: { $lte: now }
+                },
+                {
+                    $set: {
+                        owner: this.instanceId,
+                        lockedUntil: new Date(now.getTime() + job.lockMs),
+                        startedAt: now
+                    },
+                    $setOnInsert: { nextRunAt: now }
+                },
+                { upsert: true, returnDocument: 'after' }
+            );
+            return Boolean(lock) && lock.owner === this.instanceId;
+        } catch (error) {
+            // The upsert collides with the existing lock when the job is not due
+            if (error.code === 11000) return false;
+            throw error;
+        }
+    }
+
+    async release(job, { result = null, error = null }) {
+        const locks = await getJobLockCollection();
+        const finishedAt = new Date();
+        await locks.updateOne(
+            { _id: job.name, owner: this.instanceId },
+            {
+                $set: {
+                    lockedUntil: finishedAt,
+                    nextRunAt: new Date(finishedAt.getTime() + job.intervalMs),
+                    lastRunAt: finishedAt,
+                    lastResult: result,
+                    lastError: error ? error.message : null
+                }
+            }
+        );
+    }
+
+    // Runs a job now if this instance gets its lock. Errors are logged and
+    // recorded, never thrown, so one failing run does not stop the schedule.
+    async runJob(name) {
+        const job = this.jobs.get(name);
+        if (!job) throw new Error(`Unknown job "${name}"`);
+
+        const startedAt = new Date();
+        try {
+            if (!(await this.acquire(job, startedAt))) return null;
+        } catch (error) {
+            console.error(`Job ${name} lock error:`, error);
+            return null;
+        }
+
+        try {
+            const result = await job.run({ name, startedAt });
+            await this.release(job, { result });
+            return result;
+        } catch (error) {
+            console.error(`Job ${name} failed:`, error);
+            await this.release(job, { error }).catch(releaseError =>
+                console.error(`Job ${name} lock release error:`, releaseError)
+            );
+            return null;
+        }
+    }
+}
+
+module.exports = {
+    JobScheduler,
+    INSTANCE_ID
+};
@@ -0,0 +1,342 @@
+// Catalog search: the text index over books, parsing of the search syntax and
+// highlighting of matches. Queries use the MongoDB text search syntax:
+// words match any of them, "quoted phrases" must all appear and -word or
+// -"phrase" excludes books containing it.
+
+// Fields covered by the text index and how much a match in each one counts
+const SEARCH_WEIGHTS = {
+    title: 10,
+    author: 6,
+    isbn: 8,
+    description: 1
+};
+
+const TEXT_INDEX = {
+    key: Object.fromEntries(Object.keys(SEARCH_WEIGHTS).map(field => [field, 'text'])),
+    options: {
+        name: 'book_search',
+        weights: SEARCH_WEIGHTS,
+        default_language: 'english',
+        // Books may carry their own "language" field, which must not be read
+        // as the text search language
+        language_override: 'searchLanguage'
+    }
+};
+
+const MAX_QUERY_LENGTH = 200;
+
+// Fields shown in full with their matches marked; longer fields get a snippet
+const HIGHLIGHT_FIELDS = ['title', 'author', 'isbn'];
+const SNIPPET_FIELDS = ['description'];
+const SNIPPET_LENGTH = 160;
+const SNIPPET_CONTEXT = 60;
+
+// Letters and digits, in any script
+const WORD_CHARACTER = '[\\p{L}\\p{N}]';
+
+// Fields whose words make up the vocabulary that misspellings are corrected against
+const VOCABULARY_FIELDS = ['title', 'author'];
+
+// Words shorter than this are too ambiguous to correct
+const MIN_CORRECTION_LENGTH = 4;
+const MAX_CORRECTIONS = 3;
+
+// Searches with fewer results than this get "did you mean" suggestions
+const SUGGESTION_THRESHOLD = 3;
+const MAX_SUGGESTIONS = 3;
+
+const STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'from', 'into', 'that', 'this', 'your', 'their']);
+
+function escapeRegex(value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Strips punctuation around a word, e.g. "tolkien," -> "tolkien"
+function cleanWord(word) {
+    return word.replace(new RegExp(`^[^\\p{L}\\p{N}]+|[^\\p{L}\\p{N}]+$`, 'gu'), '');
+}
+
+// Splits a query into { terms, phrases, excludedTerms, excludedPhrases }.
+// An unclosed quote runs to the end of the query.
+function parseSearchQuery(query) {
+    const parsed = { terms: [], phrases: [], excludedTerms: [], excludedPhrases: [] };
+    const pattern = /(-?)"([^"]*)"?|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(String(query || ''))) !== null) {
+        const [, negated, phrase, word] = match;
+
+        if (phrase !== undefined) {
+            const words = phrase.split(/\s+/).map(cleanWord).filter(Boolean);
+            if (words.length === 0) continue;
+            const text = words.join(' ');
+            if (negated) parsed.excludedPhrases.push(text);
+            else if (words.length === 1) parsed.terms.push(text);
+            else parsed.phrases.push(text);
+            continue;
+        }
+
+        const excluded = word.startsWith('-');
+        const term = cleanWord(word.replace(/"/g, ''));
+        if (!term) continue;
+        if (excluded) parsed.excludedTerms.push(term);
+        else parsed.terms.push(term);
+    }
+
+    return parsed;
+}
+
+// Lowercase words of a text, e.g. "J.R.R. Tolkien" -> ['j', 'r', 'r', 'tolkien']
+function tokenize(text) {
+    return String(text || '').toLowerCase().match(new RegExp(`${WORD_CHARACTER}+`, 'gu')) || [];
+}
+
+// Map of each word in the books' vocabulary fields to the number of books using it
+function buildVocabulary(books) {
+    const vocabulary = new Map();
+    for (const book of books) {
+        const words = new Set(VOCABULARY_FIELDS.flatMap(field => tokenize(book[field])));
+        for (const word of words) {
+            if (word.length < MIN_CORRECTION_LENGTH || STOP_WORDS.has(word)) continue;
+            vocabulary.set(word, (vocabulary.get(word) || 0) + 1);
+        }
+    }
+    return vocabulary;
+}
+
+// Edits tolerated for a word of this length: one for short words, two for long ones
+function maxEditDistance(word) {
+    return word.length >= 8 ? 2 : 1;
+}
+
+// Insertions, deletions, substitutions and swaps of adjacent characters needed
+// to turn a into b, or max + 1 as soon as it is known to exceed max
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i];
+        let rowMinimum = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distance = Math.min(distance, previousRow[j - 2] + 1);
+            }
+            nextRow.push(distance);
+            rowMinimum = Math.min(rowMinimum, distance);
+        }
+        if (rowMinimum > max) return max + 1;
+        previousRow = row;
+        row = nextRow;
+    }
+    return row[b.length];
+}
+
+// Catalog words close to a word that is not in the catalog itself, closest
+// and most common first
+function findCorrections(word, vocabulary) {
+    const normalized = word.toLowerCase();
+    if (normalized.length < MIN_CORRECTION_LENGTH || STOP_WORDS.has(normalized) || vocabulary.has(normalized)) {
+        return [];
+    }
+
+    const max = maxEditDistance(normalized);
+    const candidates = [];
+    for (const [candidate, books] of vocabulary) {
+        const distance = editDistance(normalized, candidate, max);
+        if (distance <= max) candidates.push({ word: candidate, distance, books });
+    }
+
+    return candidates
+        .sort((a, b) => a.distance - b.distance || b.books - a.books)
+        .slice(0, MAX_CORRECTIONS)
+        .map(candidate => candidate.word);
+}
+
+// Corrections for the misspelled words of a query, keyed by the lowercase
+// word, e.g. { tolkein: ['tolkien'] }. Excluded words are left alone.
+function findQueryCorrections(parsed, vocabulary) {
+    const corrections = {};
+    const words = [...parsed.terms, ...parsed.phrases.flatMap(phrase => phrase.split(' '))];
+    for (const word of words) {
+        const key = word.toLowerCase();
+        if (corrections[key]) continue;
+        const found = findCorrections(word, vocabulary);
+        if (found.length > 0) corrections[key] = found;
+    }
+    return corrections;
+}
+
+// Adds the corrections of misspelled words to the query as alternatives, so
+// a book matches on either. Phrases stay exact. Returns the expanded query
+// and the corrections it used.
+function expandQuery(parsed, corrections) {
+    const terms = [...parsed.terms];
+    const applied = {};
+    for (const term of parsed.terms) {
+        const found = corrections[term.toLowerCase()];
+        if (!found) continue;
+        applied[term.toLowerCase()] = found;
+        for (const correction of found) {
+            if (!terms.some(existing => existing.toLowerCase() === correction)) terms.push(correction);
+        }
+    }
+    return { query: { ...parsed, terms }, applied };
+}
+
+// Copies of the query with misspelled words replaced: first every word by its
+// best correction, then each word by its other corrections
+function suggestQueries(parsed, corrections) {
+    const replaceWords = (replacements) => {
+        const replace = word => replacements[word.toLowerCase()] || word;
+        return {
+            ...parsed,
+            terms: parsed.terms.map(replace),
+            phrases: parsed.phrases.map(phrase => phrase.split(' ').map(replace).join(' '))
+        };
+    };
+
+    const best = Object.fromEntries(Object.entries(corrections).map(([word, found]) => [word, found[0]]));
+    if (Object.keys(best).length === 0) return [];
+
+    const suggestions = [replaceWords(best)];
+    for (const [word, found] of Object.entries(corrections)) {
+        for (const alternative of found.slice(1)) {
+            suggestions.push(replaceWords({ ...best, [word]: alternative }));
+        }
+    }
+    return suggestions;
+}
+
+// Rebuilds a query string for $text from its parsed parts
+function toTextSearch(parsed) {
+    return [
+        ...parsed.phrases.map(phrase => `"${phrase}"`),
+        ...parsed.terms,
+        ...parsed.excludedPhrases.map(phrase => `-"${phrase}"`),
+        ...parsed.excludedTerms.map(term => `-${term}`)
+    ].join(' ');
+}
+
+// Validates a search query. Returns { search, parsed } with the string to hand
+// to $text, or { error }.
+function prepareSearch(query) {
+    const text = String(query || '').trim();
+    if (!text) return { error: 'Search term is required' };
+    if (text.length > MAX_QUERY_LENGTH) {
+        return { error: `Search term must be at most ${MAX_QUERY_LENGTH} characters` };
+    }
+
+    const parsed = parseSearchQuery(text);
+    if (parsed.terms.length === 0 && parsed.phrases.length === 0) {
+        return { error: 'Search needs at least one word or phrase that is not excluded' };
+    }
+
+    return { search: toTextSearch(parsed), parsed };
+}
+
+// Regex matching the words and phrases of a query. Words also match as a
+// prefix, so "run" marks "running" the way the stemmed index matched it.
+function highlightPattern(parsed) {
+    const alternatives = [
+        ...parsed.phrases.map(phrase => phrase.split(' ').map(escapeRegex).join('\\s+')),
+        ...parsed.terms.map(term => `${escapeRegex(term)}${WORD_CHARACTER}*`)
+    ];
+    if (alternatives.length === 0) return null;
+
+    // Longest first, so a phrase wins over a word inside it
+    alternatives.sort((a, b) => b.length - a.length);
+    return new RegExp(`(?<!${WORD_CHARACTER})(?:${alternatives.join('|')})`, 'giu');
+}
+
+// Escapes text and wraps the matches of the pattern that fall between
+// start and end in <mark>
+function markMatches(text, pattern, start = 0, end = text.length) {
+    let result = '';
+    let position = start;
+
+    for (const match of text.slice(start, end).matchAll(pattern)) {
+        const matchStart = start + match.index;
+        result += escapeHtml(text.slice(position, matchStart));
+        result += `<mark>${escapeHtml(match[0])}</mark>`;
+        position = matchStart + match[0].length;
+    }
+
+    return result + escapeHtml(text.slice(position, end));
+}
+
+// Window of the text around its first match, cut at word boundaries
+function snippet(text, pattern) {
+    pattern.lastIndex = 0;
+    const first = pattern.exec(text);
+    pattern.lastIndex = 0;
+    if (!first) return null;
+    if (text.length <= SNIPPET_LENGTH) return markMatches(text, pattern);
+
+    let start = Math.max(0, first.index - SNIPPET_CONTEXT);
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+    if (start > 0) {
+        const space = text.indexOf(' ', start);
+        if (space !== -1 && space < first.index) start = space + 1;
+    }
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        if (space > first.index + first[0].length) end = space;
+    }
+
+    return `${start > 0 ? '…' : ''}${markMatches(text, pattern, start, end)}${end < text.length ? '…' : ''}`;
+}
+
+// HTML-escaped copies of the matching fields of a book with the matches
+// wrapped in <mark>, e.g. { title: 'The <mark>Hobbit</mark>' }
+function buildHighlights(book, parsed) {
+    const pattern = highlightPattern(parsed);
+    const highlights = {};
+    if (!pattern) return highlights;
+
+    for (const field of HIGHLIGHT_FIELDS) {
+        const value = book[field];
+        if (value === undefined || value === null || value === '') continue;
+        const text = String(value);
+        pattern.lastIndex = 0;
+        if (pattern.test(text)) {
+            pattern.lastIndex = 0;
+            highlights[field] = markMatches(text, pattern);
+        }
+    }
+
+    for (const field of SNIPPET_FIELDS) {
+        if (!book[field]) continue;
+        const marked = snippet(String(book[field]), pattern);
+        if (marked) highlights[field] = marked;
+    }
+
+    return highlights;
+}
+
+module.exports = {
+    TEXT_INDEX,
+    VOCABULARY_FIELDS,
+    SUGGESTION_THRESHOLD,
+    MAX_SUGGESTIONS,
+    parseSearchQuery,
+    toTextSearch,
+    prepareSearch,
+    buildHighlights,
+    buildVocabulary,
+    findQueryCorrections,
+    expandQuery,
+    suggestQueries
+};
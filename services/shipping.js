@@ -0,0 +1,49 @@
+// Shipping zone matching and rate calculation shared by quotes and checkout
+
+const RATE_TYPES = ['weight', 'item_count'];
+
+function normalize(value) {
+    return String(value || '').trim().toLowerCase();
+}
+
+// Whether a zone covers an address. An empty list in the zone matches any value,
+// so a zone with only countries covers every state and city in them.
+function zoneMatchesAddress(zone, address = {}) {
+    const matches = (list, value) => !list || list.length === 0 || list.map(normalize).includes(normalize(value));
+    return matches(zone.countries, address.country) &&
+        matches(zone.states, address.state) &&
+        matches(zone.cities, address.city);
+}
+
+// Total weight, item count and merchandise value of { book, quantity } lines
+function measureLines(lines) {
+    return lines.reduce((totals, { book, quantity }) => ({
+        weight: totals.weight + (Number(book.weight) || 0) * quantity,
+        itemCount: totals.itemCount + quantity,
+        subtotal: totals.subtotal + book.price * quantity
+    }), { weight: 0, itemCount: 0, subtotal: 0 });
+}
+
+// Cost of sending the lines with a method, or null when none of its rates
+// covers them. Each rate applies from min (inclusive) up to max (exclusive);
+// a rate without max has no upper bound.
+function calculateShippingCost(method, lines) {
+    const { weight, itemCount, subtotal } = measureLines(lines);
+
+    if (method.freeShippingThreshold && subtotal >= method.freeShippingThreshold) {
+        return 0;
+    }
+
+    const measure = method.rateType === 'item_count' ? itemCount : weight;
+    const rate = (method.rates || []).find(tier =>
+        measure >= (tier.min || 0) && (tier.max === null || tier.max === undefined || measure < tier.max)
+    );
+    return rate ? Number(rate.amount) : null;
+}
+
+module.exports = {
+    RATE_TYPES,
+    zoneMatchesAddress,
+    measureLines,
+    calculateShippingCost
+};
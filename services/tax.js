@@ -0,0 +1,46 @@
+// Tax rule selection and tax amounts, used by order pricing
+const { zoneMatchesAddress } = require('./shipping');
+
+// 'exclusive': catalog prices exclude tax and tax is added on top.
+// 'inclusive': catalog prices already contain tax, which is only broken out.
+const TAX_MODE = process.env.TAX_MODE === 'inclusive' ? 'inclusive' : 'exclusive';
+
+// How specific a rule is: a category-specific rule beats a general one,
+// then a city beats a state, which beats a country, which beats everywhere
+function ruleSpecificity(rule) {
+    const region = (rule.cities || []).length > 0 ? 3
+        : (rule.states || []).length > 0 ? 2
+            : (rule.countries || []).length > 0 ? 1
+                : 0;
+    return ((rule.categoryIds || []).length > 0 ? 10 : 0) + region;
+}
+
+// The most specific active rule covering a book shipped to an address, or null
+// when none does. Ties go to the rule with the higher priority.
+function findTaxRule(rules, book, address) {
+    const matching = rules.filter(rule => {
+        if (rule.isActive === false || !zoneMatchesAddress(rule, address)) return false;
+        const categoryIds = (rule.categoryIds || []).map(String);
+        return categoryIds.length === 0 ||
+            (book.category !== undefined && book.category !== null && categoryIds.includes(String(book.category)));
+    });
+
+    matching.sort((a, b) =>
+        ruleSpecificity(b) - ruleSpecificity(a) || (b.priority || 0) - (a.priority || 0)
+    );
+    return matching[0] || null;
+}
+
+// Tax contained in or added to a taxable amount at a percentage rate
+function calculateTax(amount, rate, mode = TAX_MODE) {
+    if (!rate) return 0;
+    return mode === 'inclusive'
+        ? amount - amount / (1 + rate / 100)
+        : amount * rate / 100;
+}
+
+module.exports = {
+    TAX_MODE,
+    findTaxRule,
+    calculateTax
+};
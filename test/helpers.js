@@ -0,0 +1,94 @@
+// Shared setup for the integration tests. They run against the MongoDB given
+// by TEST_MONGO_URI, which must be a replica set since orders use
+// transactions. Each test file works in a database of its own that is
+// dropped when the file finishes. Without TEST_MONGO_URI the tests are skipped.
+const { ObjectId } = require('mongodb');
+
+const TEST_MONGO_URI = process.env.TEST_MONGO_URI;
+const skip = TEST_MONGO_URI ? false : 'TEST_MONGO_URI is not set to a MongoDB replica set';
+
+// Points the app at a fresh database. Must run before any app module is required.
+function useTestDatabase(name) {
+    if (!TEST_MONGO_URI) return;
+    process.env.MONGO_URI = TEST_MONGO_URI;
+    process.env.DB_NAME = `booktree_test_${name}_${process.pid}`;
+    process.env.JOBS_ENABLED = 'false';
+}
+
+async function dropTestDatabase() {
+    const { client, dbName } = require('../config/db');
+    await client.db(dbName).dropDatabase();
+    await client.close();
+}
+
+// Calls a controller handler with a stand-in request and resolves with the
+// status and JSON body it answered with
+function invoke(handler, { params = {}, body = {}, query = {}, headers = {}, user = null, rawBody } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = { params, body, query, headers, user, rawBody };
+        const res = {
+            statusCode: 200,
+            status(code) {
+                this.statusCode = code;
+                return this;
+            },
+            set() {
+                return this;
+            },
+            json(payload) {
+                resolve({ status: this.statusCode, body: JSON.parse(JSON.stringify(payload)) });
+                return this;
+            }
+        };
+        Promise.resolve(handler(req, res)).catch(reject);
+    });
+}
+
+// Inserts an order straight into the database. Defaults to a delivered order
+// of two copies of one book, paid through the mock provider.
+async function insertOrder(overrides = {}) {
+    const { getCollection } = require('../config/db');
+    const { Order } = require('../controllers/orderController');
+
+    const bookId = new ObjectId();
+    const order = {
+        userId: new ObjectId(),
+        orderNumber: `TEST-${new ObjectId().toString()}`,
+        items: [{ bookId, title: 'Test Book', author: 'Test Author', price: 50, quantity: 2, subtotal: 100, taxAmount: 0, discountAmount: 0 }],
+        subtotal: 100,
+        discounts: [],
+        discountTotal: 0,
+        taxMode: 'exclusive',
+        taxAmount: 0,
+        shippingAmount: 0,
+        totalAmount: 100,
+        currency: 'NGN',
+        exchangeRate: 1,
+        storeCreditApplied: 0,
+        storeCreditRefunded: 0,
+        amountDue: 100,
+        status: 'delivered',
+        statusHistory: [],
+        paymentMethod: 'card',
+        paymentStatus: 'paid',
+        payment: { provider: 'mock', intentId: `mock_pi_${new ObjectId().toString()}`, amount: 100, currency: 'NGN' },
+        refunds: [],
+        refundedAmount: 0,
+        shipments: [],
+        giftCards: [],
+        createdAt: new Date(),
+        updatedAt: new Date(),
+        ...overrides
+    };
+
+    const result = await getCollection('orders').insertOne(order);
+    return Order.findById(result.insertedId);
+}
+
+module.exports = {
+    skip,
+    useTestDatabase,
+    dropTestDatabase,
+    invoke,
+    insertOrder
+};
@@ -0,0 +1,162 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+const { skip, useTestDatabase, dropTestDatabase } = require('./helpers');
+
+useTestDatabase('idempotency');
+
+describe('idempotency middleware', { skip }, () => {
+    let server;
+    let baseUrl;
+    let getCollection;
+    let handled = 0;
+    let releaseSlow = null;
+    let failNext = true;
+
+    before(async () => {
+        const { idempotent } = require('../middleware/idempotency');
+        ({ getCollection } = require('../config/db'));
+
+        const app = express();
+        app.use(express.json());
+        // Stands in for authenticateToken
+        app.use((req, res, next) => {
+            req.user = { userId: req.get('X-Test-User') || 'user-1' };
+            next();
+        });
+        app.post('/intents', idempotent, (req, res) => {
+            handled++;
+            res.status(201).json({
+                success: true,
+                data: { id: `pi_${handled}`, amount: req.body.amount, clientSecret: `secret_${handled}` }
+            });
+        });
+        app.post('/slow', idempotent, async (req, res) => {
+            await new Promise(resolve => { releaseSlow = resolve; });
+            res.status(201).json({ success: true });
+        });
+        app.post('/flaky', idempotent, (req, res) => {
+            if (failNext) {
+                failNext = false;
+                return res.status(500).json({ success: false, error: 'Temporary failure' });
+            }
+            res.status(201).json({ success: true });
+        });
+
+        await new Promise(resolve => { server = app.listen(0, resolve); });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        await dropTestDatabase();
+    });
+
+    function post(path, body, key, user) {
+        return fetch(`${baseUrl}${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(key && { 'Idempotency-Key': key }),
+                ...(user && { 'X-Test-User': user })
+            },
+            body: JSON.stringify(body)
+        });
+    }
+
+    it('replays the stored response without its client secret', async () => {
+        const key = crypto.randomUUID();
+        const first = await post('/intents', { amount: 10 }, key);
+        const firstBody = await first.json();
+        const replay = await post('/intents', { amount: 10 }, key);
+        const replayBody = await replay.json();
+
+        assert.equal(first.status, 201);
+        assert.equal(firstBody.data.clientSecret, `secret_${handled}`);
+        assert.equal(replay.status, 201);
+        assert.equal(replay.headers.get('Idempotent-Replayed'), 'true');
+        assert.equal(replayBody.data.id, firstBody.data.id);
+        assert.equal(replayBody.data.clientSecret, undefined);
+
+        const record = await getCollection('idempotency_keys').findOne({ _id: `user-1:${key}` });
+        assert.equal(JSON.stringify(record.responseBody).includes('secret_'), false);
+    });
+
+    it('keeps keys of different users apart', async () => {
+        const key = crypto.randomUUID();
+        const handledBefore = handled;
+        await post('/intents', { amount: 10 }, key, 'user-a');
+        const other = await post('/intents', { amount: 10 }, key, 'user-b');
+
+        assert.equal(other.headers.get('Idempotent-Replayed'), null);
+        assert.equal(handled, handledBefore + 2);
+    });
+
+    it('rejects a key reused with a different request', async () => {
+        const key = crypto.randomUUID();
+        await post('/intents', { amount: 10 }, key);
+        const reused = await post('/intents', { amount: 20 }, key);
+
+        assert.equal(reused.status, 422);
+    });
+
+    it('answers 409 while the first request is still processing', async () => {
+        const key = crypto.randomUUID();
+        const first = post('/slow', {}, key);
+        while (!releaseSlow) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+
+        const concurrent = await post('/slow', {}, key);
+        assert.equal(concurrent.status, 409);
+
+        releaseSlow();
+        releaseSlow = null;
+        assert.equal((await first).status, 201);
+    });
+
+    it('lets one retry take over a key whose lease has run out', async () => {
+        const key = crypto.randomUUID();
+        await getCollection('idempotency_keys').insertOne({
+            _id: `user-1:${key}`,
+            userId: 'user-1',
+            key,
+            requestHash: null,
+            state: 'processing',
+            leaseId: 'crashed-request',
+            lockedUntil: new Date(Date.now() - 1000),
+            createdAt: new Date(),
+            expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+        });
+        // Store the hash of the retried request, as the crashed request would have
+        const first = await post('/intents', { amount: 5 }, crypto.randomUUID());
+        assert.equal(first.status, 201);
+        const { requestHash } = await getCollection('idempotency_keys')
+            .findOne({ userId: 'user-1', 'responseBody.data.amount': 5 });
+        await getCollection('idempotency_keys').updateOne({ _id: `user-1:${key}` }, { $set: { requestHash } });
+
+        const handledBefore = handled;
+        const retries = await Promise.all([
+            post('/intents', { amount: 5 }, key),
+            post('/intents', { amount: 5 }, key)
+        ]);
+
+        // The losing retry is turned away, or replays the winner's response
+        // if that was already stored
+        assert.ok(retries.every(response => [201, 409].includes(response.status)));
+        assert.equal(handled, handledBefore + 1);
+        const record = await getCollection('idempotency_keys').findOne({ _id: `user-1:${key}` });
+        assert.equal(record.state, 'completed');
+    });
+
+    it('does not store server errors, so the request can be retried', async () => {
+        const key = crypto.randomUUID();
+        const failed = await post('/flaky', {}, key);
+        const retried = await post('/flaky', {}, key);
+
+        assert.equal(failed.status, 500);
+        assert.equal(retried.status, 201);
+        assert.equal(retried.headers.get('Idempotent-Replayed'), null);
+    });
+});
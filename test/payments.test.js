@@ -0,0 +1,104 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skip, useTestDatabase, dropTestDatabase, invoke, insertOrder } = require('./helpers');
+
+useTestDatabase('payments');
+
+describe('payment webhook', { skip }, () => {
+    let Order;
+    let paymentController;
+    let mockProvider;
+
+    before(() => {
+        ({ Order } = require('../controllers/orderController'));
+        paymentController = require('../controllers/paymentController');
+        mockProvider = require('../services/payments/mockProvider');
+    });
+
+    after(dropTestDatabase);
+
+    // Delivers an event to the webhook the way the provider would, signed
+    // unless a signature is given
+    function deliver(event, signature) {
+        const rawBody = Buffer.from(JSON.stringify(event));
+        return invoke(paymentController.handleWebhook, {
+            params: { provider: 'mock' },
+            headers: { 'x-payment-signature': signature || mockProvider.sign(rawBody) },
+            rawBody
+        });
+    }
+
+    function unpaidOrder(overrides = {}) {
+        return insertOrder({ status: 'pending', paymentStatus: 'unpaid', ...overrides });
+    }
+
+    it('rejects events with an invalid signature', async () => {
+        const order = await unpaidOrder();
+        const event = mockProvider.createEvent('payment.succeeded', { intentId: order.payment.intentId });
+
+        const response = await deliver(event, 'not-a-signature');
+
+        assert.equal(response.status, 400);
+        assert.equal((await Order.findById(order._id)).paymentStatus, 'unpaid');
+    });
+
+    it('confirms a paid order once, however often the event is delivered', async () => {
+        const order = await unpaidOrder();
+        const event = mockProvider.createEvent('payment.succeeded', { intentId: order.payment.intentId });
+
+        const [first, second] = await Promise.all([deliver(event), deliver(event)]);
+        const replay = await deliver(event);
+
+        assert.equal(first.status, 200);
+        assert.equal(second.status, 200);
+        assert.equal([first, second].filter(response => !response.body.ignored).length, 1);
+        assert.equal(replay.body.ignored, true);
+        assert.equal(replay.body.reason, 'Event already processed');
+
+        const stored = await Order.findById(order._id);
+        assert.equal(stored.paymentStatus, 'paid');
+        assert.equal(stored.status, 'confirmed');
+        assert.equal(stored.statusHistory.filter(entry => entry.status === 'confirmed').length, 1);
+    });
+
+    it('ignores events that would move a payment backwards', async () => {
+        const order = await unpaidOrder();
+        await deliver(mockProvider.createEvent('payment.succeeded', { intentId: order.payment.intentId }));
+
+        const response = await deliver(mockProvider.createEvent('payment.failed', { intentId: order.payment.intentId }));
+
+        assert.equal(response.body.ignored, true);
+        assert.equal(response.body.reason, 'Payment is already paid');
+        assert.equal((await Order.findById(order._id)).paymentStatus, 'paid');
+    });
+
+    it('refunds a payment that arrives after the order was cancelled', async () => {
+        const order = await unpaidOrder({ status: 'cancelled' });
+
+        const response = await deliver(mockProvider.createEvent('payment.succeeded', { intentId: order.payment.intentId }));
+
+        assert.equal(response.status, 200);
+        const stored = await Order.findById(order._id);
+        assert.equal(stored.status, 'cancelled');
+        assert.equal(stored.paymentStatus, 'refunded');
+        assert.equal(stored.refundedAmount, order.amountDue);
+        assert.equal(stored.paymentReview.resolved, true);
+    });
+
+    it('records a refund made at the provider only once', async () => {
+        const order = await insertOrder();
+        const event = mockProvider.createEvent('payment.refunded', {
+            intentId: order.payment.intentId,
+            amount: 30,
+            refundId: 'mock_re_dashboard'
+        });
+
+        await deliver(event);
+        const redelivered = await deliver({ ...event, id: `${event.id}_again` });
+
+        assert.equal(redelivered.body.ignored, true);
+        const stored = await Order.findById(order._id);
+        assert.equal(stored.refundedAmount, 30);
+        assert.equal(stored.refunds.length, 1);
+    });
+});
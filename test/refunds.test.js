@@ -0,0 +1,128 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { skip, useTestDatabase, dropTestDatabase, invoke, insertOrder } = require('./helpers');
+
+useTestDatabase('refunds');
+
+describe('refund and return caps', { skip }, () => {
+    let Order;
+    let returnController;
+    let getCollection;
+
+    before(() => {
+        ({ Order } = require('../controllers/orderController'));
+        returnController = require('../controllers/returnController');
+        ({ getCollection } = require('../config/db'));
+    });
+
+    after(dropTestDatabase);
+
+    it('never lets concurrent refunds add up to more than was paid', async () => {
+        const order = await insertOrder();
+
+        const results = await Promise.all([1, 2, 3].map(() =>
+            Order.refund(order, { amount: 40, reason: 'Concurrent refund' })));
+
+        const refunded = results.filter(result => result.refund)
+            .reduce((sum, result) => sum + result.refund.amount, 0);
+        assert.ok(refunded <= 100);
+        assert.ok(results.some(result => result.error));
+
+        const stored = await Order.findById(order._id);
+        assert.equal(stored.refundedAmount, refunded);
+        assert.equal(stored.refunds.filter(refund => refund.status === 'succeeded').length,
+            results.filter(result => result.refund).length);
+    });
+
+    it('does not refund store credit already restored on cancellation', async () => {
+        const order = await insertOrder({
+            status: 'cancelled',
+            storeCreditApplied: 30,
+            storeCreditRestored: true,
+            amountDue: 70,
+            payment: { provider: 'mock', intentId: `mock_pi_${new ObjectId().toString()}`, amount: 70, currency: 'NGN' }
+        });
+
+        const tooMuch = await Order.refund(order, { amount: 100, reason: 'Cancelled' });
+        assert.match(tooMuch.error, /refundable amount of 70/);
+
+        const { refund, error } = await Order.refund(order, { amount: 70, reason: 'Cancelled' });
+        assert.equal(error, undefined);
+        assert.equal(refund.toProvider, 70);
+        assert.equal(refund.toStoreCredit, 0);
+
+        const stored = await Order.findById(order._id);
+        assert.equal(stored.paymentStatus, 'refunded');
+        assert.equal(await Order.refundableAmount(order._id), 0);
+    });
+
+    it('lets only one of two concurrent returns claim the same items', async () => {
+        const order = await insertOrder();
+        const user = { userId: order.userId.toString() };
+        const body = {
+            orderId: order._id.toString(),
+            items: [{ bookId: order.items[0].bookId.toString(), quantity: 2 }],
+            reason: 'Damaged'
+        };
+
+        const responses = await Promise.all([
+            invoke(returnController.createReturn, { body, user }),
+            invoke(returnController.createReturn, { body, user })
+        ]);
+
+        assert.deepEqual(responses.map(response => response.status).sort(), [201, 400]);
+        const rejected = responses.find(response => response.status === 400);
+        assert.match(rejected.body.error, /Only 0 of "Test Book" can still be returned/);
+        assert.equal(await getCollection('returns').countDocuments({ orderId: order._id }), 1);
+    });
+
+    it('refunds a received return for what its items were paid, at most once', async () => {
+        const order = await insertOrder({
+            items: [{
+                bookId: new ObjectId(),
+                title: 'Test Book',
+                author: 'Test Author',
+                price: 50,
+                quantity: 2,
+                subtotal: 100,
+                taxAmount: 8,
+                discountAmount: 10
+            }],
+            discountTotal: 10,
+            taxAmount: 8,
+            totalAmount: 98,
+            amountDue: 98
+        });
+        const user = { userId: order.userId.toString() };
+
+        const created = await invoke(returnController.createReturn, {
+            body: {
+                orderId: order._id.toString(),
+                items: [{ bookId: order.items[0].bookId.toString(), quantity: 1 }],
+                reason: 'Wrong edition'
+            },
+            user
+        });
+        assert.equal(created.status, 201);
+        const returnId = created.body.data._id;
+        await getCollection('returns').updateOne(
+            { _id: new ObjectId(returnId) },
+            { $set: { status: 'received' } }
+        );
+
+        const admin = { userId: new ObjectId().toString(), role: 'admin' };
+        const responses = await Promise.all([
+            invoke(returnController.refundReturn, { params: { id: returnId }, user: admin }),
+            invoke(returnController.refundReturn, { params: { id: returnId }, user: admin })
+        ]);
+
+        const refunded = responses.filter(response => response.status === 200);
+        assert.equal(refunded.length, 1);
+        assert.equal(refunded[0].body.data.refund.amount, 49);
+
+        const stored = await Order.findById(order._id);
+        assert.equal(stored.refundedAmount, 49);
+        assert.equal(stored.paymentStatus, 'paid');
+    });
+});